@@ -2,297 +2,4475 @@
 (() => {
   'use strict';
 
-  // Import js-beautify library with cross-browser compatibility
-  let jsBeautifyLoaded = false;
-  
-  // Try importScripts first (Chrome)
+  // Shared settings (beautifier profiles and capture defaults); Firefox lists settings.js before this script
   if (typeof importScripts !== 'undefined') {
-    try {
-      importScripts('js-beautify.min.js');
-      jsBeautifyLoaded = true;
-      console.log('js-beautify loaded via importScripts');
-    } catch (error) {
-      console.warn('Failed to import js-beautify via importScripts:', error);
+    importScripts('settings.js');
+  }
+
+  // Asset type helpers - script types end in -js, so 'external-json' isn't mistaken for a script
+  const assetTypes = {
+    isScript(type) {
+      return /-js$/.test(type);
+    },
+
+    isHtml(type) {
+      return type === 'html' || /-html$/.test(type);
+    },
+
+    isCss(type) {
+      return /-css$/.test(type);
+    },
+
+    isJson(type) {
+      return /-json$/.test(type);
+    },
+
+    isBinary(type) {
+      return type === 'wasm';
+    }
+  };
+
+  // Beautification off the service worker: a worker pool in an offscreen document (Chrome) or in the
+  // background page itself (Firefox). Files over the size or time budget are kept as they are, with a note.
+  const beautifierWorkers = {
+    maxSize: 20 * 1024 * 1024,
+    timeout: 60 * 1000,
+    offscreenUrl: 'offscreen.html',
+    creating: null,
+
+    // Which formatter an asset type goes through, if any
+    kindOf(type) {
+      if (assetTypes.isScript(type)) return 'js';
+      if (assetTypes.isCss(type)) return 'css';
+      if (assetTypes.isHtml(type)) return 'html';
+      if (assetTypes.isJson(type)) return 'json';
+      return null;
+    },
+
+    // Formatter settings from a profile; html_beautify formats embedded scripts and styles with the
+    // profile's js and css settings
+    settingsFor(kind, profile) {
+      switch (kind) {
+        case 'js':
+          return profile.js;
+        case 'css':
+          return profile.css;
+        case 'html':
+          return {
+            ...profile.html,
+            js: { ...profile.js, end_with_newline: false },
+            css: { ...profile.css, end_with_newline: false }
+          };
+        default:
+          return null;
+      }
+    },
+
+    // The offscreen document outlives service worker restarts, so it may already be there
+    ensureOffscreenDocument() {
+      if (!this.creating) {
+        this.creating = chrome.offscreen.createDocument({
+          url: this.offscreenUrl,
+          reasons: ['WORKERS'],
+          justification: 'Beautify large scripts without blocking the service worker'
+        }).catch(error => {
+          if (!/single offscreen/i.test(error.message)) {
+            this.creating = null;
+            throw error;
+          }
+        });
+      }
+      return this.creating;
+    },
+
+    async run(task) {
+      if (typeof Worker !== 'undefined' && globalThis.beautifyPool) {
+        return beautifyPool.run(task, this.timeout);
+      }
+      if (chrome.offscreen) {
+        await this.ensureOffscreenDocument();
+        const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'beautify', task, timeout: this.timeout });
+        if (!response) {
+          throw new Error('No response from the offscreen document');
+        }
+        return response;
+      }
+      throw new Error('Workers are not available');
+    },
+
+    // Resolves with { content, note }: note says why the content was left as it was
+    async format(content, type, profile = extensionSettings.builtInProfiles.review) {
+      const kind = this.kindOf(type);
+      if (!kind) {
+        return { content, note: null };
+      }
+
+      const megabytes = (length) => (length / (1024 * 1024)).toFixed(1);
+      if (content.length > this.maxSize) {
+        return { content, note: `Not beautified: ${megabytes(content.length)} MB is over the ${megabytes(this.maxSize)} MB budget` };
+      }
+
+      let result;
+      try {
+        result = await this.run({ kind, content, settings: this.settingsFor(kind, profile) });
+      } catch (error) {
+        // Formatting here instead would stall the background for as long as the file takes, so the
+        // file is saved as it is and the note says why
+        console.warn('Beautifier workers unavailable:', error);
+        return { content, note: `Not beautified: ${error.message}` };
+      }
+
+      if (result.timedOut) {
+        return { content, note: `Not beautified: took longer than ${this.timeout / 1000}s` };
+      }
+      if (result.error) {
+        return { content, note: `Not beautified: ${result.error}` };
+      }
+      return { content: result.content, note: null };
+    }
+  };
+
+  // Static deobfuscation for packed and string-array obfuscated scripts - page code is never run
+  const deobfuscator = {
+    maxSize: 10 * 1024 * 1024,
+    punctuators: ['>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=', '=>', '==', '!=', '<=', '>=',
+      '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>'],
+    keywords: new Set(['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof', 'yield', 'await']),
+    // Tokens after which an expression starts, so a literal run there can't be an operand of something tighter
+    boundaries: new Set(['(', ',', '=', '[', ':', ';', '?', '{', '}', '=>', 'return', 'case', 'throw',
+      '+=', '-=', '*=', '/=', '%=', '&&=', '||=', '??=', '===', '!==', '==', '!=', '<', '>', '<=', '>=', '&&', '||', '??']),
+    followers: new Set([')', ',', ';', ']', '}', ':', '?', '===', '!==', '==', '!=', '<', '>', '<=', '>=', '&&', '||', '??']),
+
+    // Split code into tokens; whitespace and comments are kept so joining the texts gives the code back
+    lex(code) {
+      return Array.from(this.tokens(code));
+    },
+
+    // The tokens of lex one at a time from `start`, for scanners that can stop early
+    *tokens(code, start = 0) {
+      let previous = null;
+      let i = start;
+
+      while (i < code.length) {
+        const tokenStart = i;
+        const char = code[i];
+        let type;
+
+        if (/\s/.test(char)) {
+          while (i < code.length && /\s/.test(code[i])) i++;
+          type = 'space';
+        } else if (char === '/' && code[i + 1] === '/') {
+          i = code.indexOf('\n', i);
+          if (i === -1) i = code.length;
+          type = 'comment';
+        } else if (char === '/' && code[i + 1] === '*') {
+          const end = code.indexOf('*/', i + 2);
+          i = end === -1 ? code.length : end + 2;
+          type = 'comment';
+        } else if (char === '"' || char === "'") {
+          i = this.skipString(code, i);
+          type = 'string';
+        } else if (char === '`') {
+          i = this.skipTemplate(code, i);
+          type = 'template';
+        } else if (char === '/' && this.regexAllowed(previous)) {
+          i = this.skipRegex(code, i);
+          type = 'regex';
+        } else if (/\d/.test(char) || (char === '.' && /\d/.test(code[i + 1] || ''))) {
+          const pattern = /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?/y;
+          pattern.lastIndex = i;
+          pattern.exec(code);
+          i = pattern.lastIndex;
+          type = 'number';
+        } else if (/[A-Za-z_$#\u0080-\uffff]/.test(char)) {
+          const pattern = /#?[\w$\u0080-\uffff]+/y;
+          pattern.lastIndex = i;
+          pattern.exec(code);
+          i = pattern.lastIndex;
+          type = 'name';
+        } else {
+          const punct = this.punctuators.find(candidate => code.startsWith(candidate, i)) || char;
+          i += punct.length;
+          type = 'punct';
+        }
+
+        const token = { type, text: code.substring(tokenStart, i) };
+        if (type !== 'space' && type !== 'comment') {
+          previous = token;
+        }
+        yield token;
+      }
+    },
+
+    skipString(code, i) {
+      const quote = code[i];
+      for (i++; i < code.length; i++) {
+        if (code[i] === '\\') i++;
+        else if (code[i] === quote || code[i] === '\n') return i + 1;
+      }
+      return code.length;
+    },
+
+    skipTemplate(code, i) {
+      for (i++; i < code.length; i++) {
+        if (code[i] === '\\') {
+          i++;
+        } else if (code[i] === '`') {
+          return i + 1;
+        } else if (code[i] === '$' && code[i + 1] === '{') {
+          // Substitutions can hold strings, templates and braces of their own
+          let depth = 0;
+          for (i += 2; i < code.length; i++) {
+            const char = code[i];
+            if (char === '"' || char === "'") i = this.skipString(code, i) - 1;
+            else if (char === '`') i = this.skipTemplate(code, i) - 1;
+            else if (char === '{') depth++;
+            else if (char === '}' && depth-- === 0) break;
+          }
+        }
+      }
+      return code.length;
+    },
+
+    skipRegex(code, i) {
+      let inClass = false;
+      for (i++; i < code.length; i++) {
+        const char = code[i];
+        if (char === '\\') i++;
+        else if (char === '[') inClass = true;
+        else if (char === ']') inClass = false;
+        else if (char === '\n') return i;
+        else if (char === '/' && !inClass) break;
+      }
+      i++;
+      while (i < code.length && /[a-z]/i.test(code[i])) i++;
+      return i;
+    },
+
+    // A slash starts a regex unless it follows something that ends an operand
+    regexAllowed(previous) {
+      if (!previous) return true;
+      if (previous.type === 'punct') return ![')', ']', '}'].includes(previous.text);
+      return previous.type === 'name' && this.keywords.has(previous.text);
+    },
+
+    // Value of a string literal, or null when it uses escapes that aren't worth the risk
+    stringValue(literal) {
+      if (/\\(\r\n|[\n\r\u2028\u2029]|[1-7]|0\d)/.test(literal)) {
+        return null;
+      }
+      return runtimeExpression.unquote(literal);
+    },
+
+    // Quote a string, escaping only what has to be escaped
+    quote(value, quote = "'") {
+      const escapes = { '\\': '\\\\', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+      return quote + value.replace(/[\\'"\u0000-\u001f\u007f\u2028\u2029]|[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/g, char => {
+        if (escapes[char]) return escapes[char];
+        if (char === '"' || char === "'") return char === quote ? '\\' + char : char;
+        const code = char.charCodeAt(0);
+        return code < 0x100 ? '\\x' + code.toString(16).padStart(2, '0') : '\\u' + code.toString(16).padStart(4, '0');
+      }) + quote;
+    },
+
+    isSignificant(token) {
+      return token.type !== 'space' && token.type !== 'comment';
+    },
+
+    // Evaluate a numeric expression: literals, + - * / %, unary - + !, [] and calls resolved by `call`
+    evaluate(source, call = () => {
+      throw new Error('Unsupported call');
+    }) {
+      const tokens = this.lex(source).filter(token => this.isSignificant(token));
+      let position = 0;
+      const peek = (text) => tokens[position] && tokens[position].type !== 'string' && tokens[position].text === text;
+      const expect = (text) => {
+        if (!peek(text)) throw new Error(`Expected ${text}`);
+        position++;
+      };
+
+      const parsePrimary = () => {
+        const token = tokens[position++];
+        if (!token) throw new Error('Unexpected end of expression');
+        if (token.type === 'number' && !token.text.endsWith('n')) return Number(token.text.replace(/_/g, ''));
+        if (token.type === 'string') {
+          const value = this.stringValue(token.text);
+          if (value === null) throw new Error('Unsupported string');
+          return value;
+        }
+        if (token.text === '(') {
+          const value = parseAdditive();
+          expect(')');
+          return value;
+        }
+        if (token.text === '[') {
+          expect(']');
+          return [];
+        }
+        if (token.type === 'name' && peek('(')) {
+          position++;
+          const args = [];
+          while (!peek(')')) {
+            args.push(parseAdditive());
+            if (!peek(')')) expect(',');
+          }
+          expect(')');
+          return call(token.text, args);
+        }
+        if (token.text === 'true' || token.text === 'false') return token.text === 'true';
+        throw new Error(`Unexpected token ${token.text}`);
+      };
+
+      const parseUnary = () => {
+        if (peek('-')) { position++; return -parseUnary(); }
+        if (peek('+')) { position++; return +parseUnary(); }
+        if (peek('!')) { position++; return !parseUnary(); }
+        return parsePrimary();
+      };
+
+      const parseMultiplicative = () => {
+        let value = parseUnary();
+        while (peek('*') || peek('/') || peek('%')) {
+          const operator = tokens[position++].text;
+          const right = parseUnary();
+          value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+        }
+        return value;
+      };
+
+      const parseAdditive = () => {
+        let value = parseMultiplicative();
+        while (peek('+') || peek('-')) {
+          const operator = tokens[position++].text;
+          const right = parseMultiplicative();
+          value = operator === '+' ? value + right : value - right;
+        }
+        return value;
+      };
+
+      const value = parseAdditive();
+      if (position < tokens.length) throw new Error('Trailing tokens in expression');
+      return value;
+    },
+
+    // Dean Edwards packer: eval(function(p,a,c,k,e,d){...}('payload',62,120,'words'.split('|'),0,{}))
+    unpack(code) {
+      const literal = `('(?:[^'\\\\]|\\\\[\\s\\S])*'|"(?:[^"\\\\]|\\\\[\\s\\S])*")`;
+      const pattern = new RegExp(`eval\\(\\s*function\\s*\\(\\s*p\\s*,\\s*a\\s*,\\s*c\\s*,\\s*k\\s*,\\s*e\\s*,\\s*[dr]\\s*\\)\\s*\\{[\\s\\S]*?\\}\\s*\\(\\s*${literal}\\s*,\\s*(\\d+)\\s*,\\s*(\\d+)\\s*,\\s*${literal}\\s*\\.split\\(\\s*(['"])\\|\\5\\s*\\)(?:\\s*,\\s*0\\s*,\\s*\\{\\s*\\})?\\s*\\)\\s*\\)`, 'g');
+      let count = 0;
+
+      const unpacked = code.replace(pattern, (match, payloadLiteral, radix, total, wordsLiteral) => {
+        const payload = this.stringValue(payloadLiteral);
+        const words = this.stringValue(wordsLiteral);
+        if (payload === null || words === null || Number(radix) > 62) {
+          return match;
+        }
+
+        // Map each encoded word back to the keyword it stands for, as the packer's own loop does
+        const keywords = words.split('|');
+        const dictionary = new Map();
+        for (let index = 0; index < Number(total); index++) {
+          if (keywords[index]) {
+            dictionary.set(this.encodeBase(index, Number(radix)), keywords[index]);
+          }
+        }
+
+        count++;
+        return payload.replace(/\b\w+\b/g, word => dictionary.get(word) || word);
+      });
+
+      return { code: unpacked, count };
+    },
+
+    // The packer's `e` function: base-N digits 0-9, a-z, then A-Z
+    encodeBase(value, radix) {
+      const digit = value % radix;
+      return (value < radix ? '' : this.encodeBase(Math.floor(value / radix), radix))
+        + (digit > 35 ? String.fromCharCode(digit + 29) : digit.toString(36));
+    },
+
+    // Index of the bracket closing the block or literal whose body starts at `start`
+    closingBracket(code, start) {
+      let end = runtimeExpression.findEnd(code, start);
+      while (code[end] === ',' || code[end] === ';') {
+        end = runtimeExpression.findEnd(code, end + 1);
+      }
+      return end;
+    },
+
+    // Read an array literal of plain strings starting just after its `[`
+    readStringArray(code, start) {
+      const end = this.closingBracket(code, start);
+      if (code[end] !== ']') return null;
+
+      const tokens = this.lex(code.substring(start, end)).filter(token => this.isSignificant(token));
+      const strings = [];
+      for (let i = 0; i < tokens.length; i += 2) {
+        const value = tokens[i].type === 'string' ? this.stringValue(tokens[i].text) : null;
+        if (value === null || (tokens[i + 1] && tokens[i + 1].text !== ',')) return null;
+        strings.push(value);
+      }
+      return strings.length > 0 ? strings : null;
+    },
+
+    // obfuscator.io string arrays: `function a(){const b=[...];a=function(){return b;};return a();}` or `var a=[...]`
+    findStringArrays(code) {
+      const arrays = [];
+      for (const match of code.matchAll(/function\s+([\w$]+)\s*\(\s*\)\s*\{\s*(?:var|const|let)\s+[\w$]+\s*=\s*\[/g)) {
+        const strings = this.readStringArray(code, match.index + match[0].length);
+        if (strings) arrays.push({ name: match[1], accessor: true, strings });
+      }
+      for (const match of code.matchAll(/(?:var|const|let)\s+([\w$]+)\s*=\s*\[/g)) {
+        const strings = this.readStringArray(code, match.index + match[0].length);
+        if (strings) arrays.push({ name: match[1], accessor: false, strings });
+      }
+      return arrays;
+    },
+
+    escapeName(name) {
+      return name.replace(/\$/g, '\\$');
+    },
+
+    // The lookup function reading from an array: `function b(c,d){c=c-0x1a2;...}`
+    findDecoder(code, array) {
+      const reference = new RegExp(this.escapeName(array.name) + (array.accessor ? '\\s*\\(\\s*\\)' : '\\s*\\['));
+      const pattern = /(?:function\s+([\w$]+)|(?:var|const|let)\s+([\w$]+)\s*=\s*function)\s*\(\s*[\w$]+\s*(?:,\s*[\w$]+\s*)?\)\s*\{/g;
+
+      for (const match of code.matchAll(pattern)) {
+        const start = match.index + match[0].length;
+        const body = code.substring(start, this.closingBracket(code, start));
+        if (!reference.test(body)) continue;
+
+        // Base64 and RC4 encoded arrays are decoded at runtime; leave those alone
+        if (/atob|fromCharCode|decodeURIComponent|%\s*(?:0x100|256)\b/.test(body)) return null;
+
+        let offset = 0;
+        const shift = body.match(/([\w$]+)\s*=\s*\1\s*-\s*|([\w$]+)\s*-=\s*/);
+        if (shift) {
+          const expressionStart = shift.index + shift[0].length;
+          try {
+            offset = this.evaluate(body.substring(expressionStart, runtimeExpression.findEnd(body, expressionStart)));
+          } catch {
+            return null;
+          }
+        }
+        return { name: match[1] || match[2], offset };
+      }
+      return null;
+    },
+
+    // The array is rotated at startup until a checksum matches; work out the rotation statically
+    rotate(code, array, decoder) {
+      const strings = [...array.strings];
+      const callPattern = /\}\s*\)?\s*\(\s*([\w$]+)\s*,\s*/g;
+      const argumentAfter = (from) => {
+        callPattern.lastIndex = from;
+        const call = callPattern.exec(code);
+        if (!call || call[1] !== array.name) return null;
+        const start = call.index + call[0].length;
+        return this.evaluate(code.substring(start, runtimeExpression.findEnd(code, start)));
+      };
+
+      // Newer releases: while(!![]){try{const e=parseInt(c(0x1a5))/0x1+...;if(e===b)break;else d.push(d.shift());}...}
+      const checksum = /while\s*\(\s*(?:!!\s*\[\s*\]|true)\s*\)\s*\{\s*try\s*\{\s*(?:const|var|let)\s+[\w$]+\s*=\s*/g;
+      for (const match of code.matchAll(checksum)) {
+        const start = match.index + match[0].length;
+        const end = runtimeExpression.findEnd(code, start);
+        const target = argumentAfter(end);
+        if (target === null) continue;
+
+        const expression = code.substring(start, end);
+        const call = (name, args) => name === 'parseInt'
+          ? parseInt(args[0], args[1])
+          : strings[args[0] - decoder.offset];
+        for (let attempt = 0; attempt < strings.length; attempt++) {
+          try {
+            if (this.evaluate(expression, call) === target) return strings;
+          } catch {
+            // Same as the runtime's catch: rotate and try again
+          }
+          strings.push(strings.shift());
+        }
+        return null;
+      }
+
+      // Older releases: (function(a,b){var c=function(d){while(--d){a.push(a.shift());}};c(++b);}(arr,0x1a3))
+      const counted = /while\s*\(\s*--\s*[\w$]+\s*\)\s*\{\s*[\w$]+(?:\[\s*['"]push['"]\s*\]|\.push)\s*\(\s*[\w$]+(?:\[\s*['"]shift['"]\s*\]|\.shift)\s*\(\s*\)\s*\)/g;
+      for (const match of code.matchAll(counted)) {
+        let count;
+        try {
+          count = argumentAfter(match.index + match[0].length);
+        } catch {
+          continue;
+        }
+        if (count === null) continue;
+        for (let i = 0; i < count % strings.length; i++) {
+          strings.push(strings.shift());
+        }
+        return strings;
+      }
+
+      return strings;
+    },
+
+    // Replace decoder calls like b(0x1a5), and aliases of b, with the strings they return
+    inlineStringArrays(code) {
+      const lookups = new Map();
+      this.findStringArrays(code).forEach(array => {
+        const decoder = this.findDecoder(code, array);
+        if (!decoder) return;
+
+        let strings;
+        try {
+          strings = this.rotate(code, array, decoder);
+        } catch {
+          strings = null;
+        }
+        if (!strings) return;
+
+        const lookup = { strings, offset: decoder.offset };
+        lookups.set(decoder.name, lookup);
+        const aliases = new RegExp(`([\\w$]+)\\s*=\\s*${this.escapeName(decoder.name)}\\b(?!\\s*\\()`, 'g');
+        for (const alias of code.matchAll(aliases)) {
+          lookups.set(alias[1], lookup);
+        }
+      });
+      if (lookups.size === 0) {
+        return { code, count: 0 };
+      }
+
+      const tokens = this.lex(code);
+      const significant = tokens.map((token, index) => index).filter(index => this.isSignificant(tokens[index]));
+      const text = (k) => significant[k] !== undefined ? tokens[significant[k]].text : undefined;
+      let count = 0;
+
+      for (let k = 0; k < significant.length; k++) {
+        const lookup = lookups.get(text(k));
+        if (!lookup || text(k - 1) === '.' || text(k - 1) === 'function' || text(k + 1) !== '(' || text(k + 3) !== ')') continue;
+
+        // Indexes are numbers, or numeric strings like '0x1a5' in some configurations
+        const argument = tokens[significant[k + 2]];
+        const index = argument.type === 'number' ? Number(argument.text.replace(/_/g, ''))
+          : argument.type === 'string' ? Number(this.stringValue(argument.text)) : NaN;
+        const value = lookup.strings[index - lookup.offset];
+        if (typeof value !== 'string') continue;
+
+        this.replace(tokens, significant, k, k + 3, this.quote(value));
+        count++;
+        k += 3;
+      }
+
+      return { code: tokens.map(token => token.text).join(''), count };
+    },
+
+    // Replace the significant tokens from..to (and anything between them) with one text;
+    // `return![]` must become `return false`, not `returnfalse`, so words on either side are kept apart
+    replace(tokens, significant, from, to, text) {
+      const neighbour = (index, step) => {
+        while (tokens[index] && tokens[index].text === '') index += step;
+        return tokens[index] ? tokens[index].text : '';
+      };
+      const word = /[\w$\u0080-\uffff]/;
+      if (word.test(neighbour(significant[from] - 1, -1).slice(-1)) && word.test(text[0])) text = ' ' + text;
+      if (word.test(neighbour(significant[to] + 1, 1)[0] || '') && word.test(text.slice(-1))) text += ' ';
+      tokens[significant[from]].text = text;
+      for (let index = significant[from] + 1; index <= significant[to]; index++) {
+        tokens[index].text = '';
+      }
+    },
+
+    // Fold trivial constants: !![] and ![], literal arithmetic, string concatenation, hex literals and ['prop']
+    fold(code) {
+      const tokens = this.lex(code);
+      const significant = tokens.map((token, index) => index).filter(index => this.isSignificant(tokens[index]));
+      const token = (k) => significant[k] !== undefined ? tokens[significant[k]] : null;
+      const text = (k) => token(k) ? token(k).text : undefined;
+      const isType = (k, type) => token(k) !== null && token(k).type === type;
+      const startsExpression = (k) => k < 0 || this.boundaries.has(text(k));
+      const endsExpression = (k, extra = []) => k >= significant.length || this.followers.has(text(k)) || extra.includes(text(k));
+      let count = 0;
+      // Last token of the latest obj['prop'] rewrite, so chains like obj['a']['b'] fold all the way
+      let memberEnd = -1;
+
+      for (let k = 0; k < significant.length; k++) {
+        // ![] is false and !![] is true, unless a member access binds to the array first
+        if (text(k) === '!') {
+          const double = text(k + 1) === '!';
+          const open = k + (double ? 2 : 1);
+          if (text(open) === '[' && text(open + 1) === ']' && !['.', '[', '(', '?.'].includes(text(open + 2))) {
+            this.replace(tokens, significant, k, open + 1, double ? 'true' : 'false');
+            count++;
+            k = open + 1;
+            continue;
+          }
+        }
+
+        // Runs of numeric literals joined by + - * / %
+        if (startsExpression(k - 1) && (isType(k, 'number') || (text(k) === '-' && isType(k + 1, 'number')))) {
+          let end = text(k) === '-' ? k + 1 : k;
+          let operators = text(k) === '-' ? 1 : 0;
+          while (['+', '-', '*', '/', '%'].includes(text(end + 1))) {
+            const next = text(end + 2) === '-' ? end + 3 : end + 2;
+            if (!isType(next, 'number')) break;
+            end = next;
+            operators++;
+          }
+
+          const parts = [];
+          for (let j = k; j <= end; j++) parts.push(text(j));
+          if (operators > 0 && endsExpression(end + 1, ['+', '-']) && !parts.some(part => part.endsWith('n'))) {
+            const value = this.evaluate(parts.join(' '));
+            if (Number.isFinite(value)) {
+              this.replace(tokens, significant, k, end, Object.is(value, -0) ? '-0' : String(value));
+              count++;
+              k = end;
+              continue;
+            }
+          }
+        }
+
+        // Hex literals read more easily in decimal
+        if (isType(k, 'number') && /^0[xX][\da-fA-F]+$/.test(text(k)) && text(k + 1) !== '.') {
+          const value = Number(text(k));
+          if (Number.isSafeInteger(value)) {
+            token(k).text = String(value);
+            count++;
+          }
+          continue;
+        }
+
+        // 'a' + 'b' -> 'ab'; after a binary + the left side is already a string, so folding the rest is safe
+        if (isType(k, 'string') && text(k + 1) === '+' && isType(k + 2, 'string')) {
+          const binaryPlus = text(k - 1) === '+' && (['name', 'number', 'string', 'template', 'regex'].includes(token(k - 2) && token(k - 2).type)
+            || [')', ']'].includes(text(k - 2)));
+          let end = k;
+          const values = [this.stringValue(text(k))];
+          while (text(end + 1) === '+' && isType(end + 2, 'string')) {
+            values.push(this.stringValue(text(end + 2)));
+            end += 2;
+          }
+          if ((startsExpression(k - 1) || binaryPlus) && endsExpression(end + 1, ['+']) && !values.includes(null)) {
+            this.replace(tokens, significant, k, end, this.quote(values.join(''), text(k)[0]));
+            count++;
+            k = end;
+            continue;
+          }
+        }
+
+        // obj['prop'] -> obj.prop
+        if (text(k) === '[' && isType(k + 1, 'string') && text(k + 2) === ']'
+            && (memberEnd === k - 1 || (isType(k - 1, 'name') ? !this.keywords.has(text(k - 1)) : [')', ']'].includes(text(k - 1)) || isType(k - 1, 'string')))) {
+          const property = this.stringValue(text(k + 1));
+          if (property !== null && /^[A-Za-z_$][\w$]*$/.test(property)) {
+            this.replace(tokens, significant, k, k + 2, '.' + property);
+            count++;
+            k += 2;
+            memberEnd = k;
+          }
+        }
+      }
+
+      return { code: tokens.map(item => item.text).join(''), count };
+    },
+
+    // Rewrite \x and \u escapes in string literals as the characters they stand for
+    decodeStrings(code) {
+      let count = 0;
+      const tokens = this.lex(code);
+      tokens.forEach(token => {
+        if (token.type !== 'string' || !/\\[xu]/.test(token.text)) return;
+        const value = this.stringValue(token.text);
+        if (value === null) return;
+        token.text = this.quote(value, token.text[0]);
+        count++;
+      });
+      return { code: tokens.map(token => token.text).join(''), count };
+    },
+
+    // Run every stage; returns the new code and what each stage did
+    run(code) {
+      const stats = { unpacked: 0, inlined: 0, folded: 0, decoded: 0 };
+      if (code.length > this.maxSize) {
+        return { code, stats, changed: false };
+      }
+
+      let output = code;
+      try {
+        for (let depth = 0; depth < 5; depth++) {
+          const unpacked = this.unpack(output);
+          if (unpacked.count === 0) break;
+          output = unpacked.code;
+          stats.unpacked += unpacked.count;
+        }
+
+        // Folding first turns computed decoder arguments into plain numbers; the second pass joins inlined strings
+        const apply = (stage, key) => {
+          const result = this[stage](output);
+          output = result.code;
+          stats[key] += result.count;
+          return result.count;
+        };
+        apply('fold', 'folded');
+        if (apply('inlineStringArrays', 'inlined') > 0) {
+          apply('fold', 'folded');
+        }
+        apply('decodeStrings', 'decoded');
+      } catch (error) {
+        console.warn('Deobfuscation stopped early:', error);
+      }
+
+      return { code: output, stats, changed: output !== code };
+    }
+  };
+
+  // Path helpers for files written below evil-downloads/
+  const paths = {
+    // Make a single path segment safe on Windows, macOS and Linux
+    sanitizeSegment(segment) {
+      let safe = String(segment)
+        .replace(/[\u0000-\u001f\u007f<>:"\/\\|?*]/g, '_')
+        .replace(/[. ]+$/, '')
+        .substring(0, 120);
+
+      if (!safe || safe === '.' || safe === '..') {
+        safe = '_';
+      }
+
+      // Windows reserves these device names regardless of extension
+      if (/^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i.test(safe)) {
+        safe = '_' + safe;
+      }
+
+      return safe;
+    },
+
+    // Turn a source path such as webpack:///./src/App.tsx into a safe relative path
+    fromSourcePath(source) {
+      const segments = [];
+      const withoutScheme = String(source).replace(/^([a-z][\w+.-]*):\/*/i, '$1/');
+
+      withoutScheme.split(/[\/\\]+/).forEach(segment => {
+        if (!segment || segment === '.') return;
+        if (segment === '..') {
+          segments.pop();
+          return;
+        }
+        segments.push(this.sanitizeSegment(segment));
+      });
+
+      return segments.length > 0 ? segments.join('/') : '_';
+    },
+
+    // Extract a file name from a URL (mirrors the content script's helper)
+    filenameFromUrl(url, extension = '') {
+      let filename;
+      try {
+        const urlObj = new URL(url);
+        filename = urlObj.pathname.split('/').pop() || urlObj.hostname + '_index';
+      } catch {
+        filename = 'unknown_file';
+      }
+      return extension && !this.hasExtension(filename.substring(filename.lastIndexOf('.')), extension)
+        ? filename + extension
+        : filename;
+    },
+
+    // Short stable hash used to keep long query strings distinct (FNV-1a)
+    hash(text) {
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+
+    // Extension an asset of the given type is expected to have
+    extensionFor(type) {
+      if (assetTypes.isHtml(type)) return '.html';
+      if (assetTypes.isScript(type)) return '.js';
+      if (assetTypes.isCss(type)) return '.css';
+      if (assetTypes.isJson(type)) return '.json';
+      if (type === 'wasm') return '.wasm';
+      return '';
+    },
+
+    // Insert a suffix before the extension: app.js -> app.deobfuscated.js
+    withSuffix(path, suffix) {
+      return path.replace(/(\.[^./]*)?$/, `${suffix}$1`);
+    },
+
+    // Whether an existing extension already fits, e.g. .mjs for scripts or .htm for pages
+    hasExtension(ext, expected) {
+      const lower = ext.toLowerCase();
+      if (expected === '.js') return ['.js', '.mjs', '.cjs'].includes(lower);
+      if (expected === '.html') return ['.html', '.htm'].includes(lower);
+      if (expected === '.json') return ['.json', '.webmanifest'].includes(lower);
+      return lower === expected;
+    },
+
+    // File name inside the folder of the frame the asset came from (frame_<n>/... for subframes)
+    inFrame(asset) {
+      return asset.frame && asset.frame.path ? `${asset.frame.path}/${asset.filename}` : asset.filename;
+    },
+
+    // Crawled pages after the first keep their documents and inline code under pages/<path>/
+    inPage(asset) {
+      const path = this.inFrame(asset);
+      return asset.page && asset.page.path ? `${asset.page.path}/${path}` : path;
+    },
+
+    // Path of an asset inside the capture: flat file name or <asset-host>/<path>
+    forAsset(asset, options, capture) {
+      if (options.layout !== 'mirror') {
+        return this.inPage(asset);
+      }
+
+      let url;
+      try {
+        url = new URL(asset.url || (asset.page && asset.page.url) || capture.pageUrl);
+      } catch {
+        return this.inPage(asset);
+      }
+      if (!url.protocol.startsWith('http')) {
+        return this.inPage(asset);
+      }
+
+      const segments = url.pathname.split('/').map(segment => {
+        try {
+          return decodeURIComponent(segment);
+        } catch {
+          return segment;
+        }
+      });
+      let name = segments.pop();
+      const folders = [url.host, ...segments.filter(segment => segment && segment !== '.' && segment !== '..')]
+        .map(segment => this.sanitizeSegment(segment));
+
+      // Inline content has no URL of its own, so it sits next to the page (in its crawled page's and frame's folders)
+      if (!asset.url) {
+        return [...folders, ...this.inPage(asset).split('/').map(segment => this.sanitizeSegment(segment))].join('/');
+      }
+
+      const extension = this.extensionFor(asset.type);
+      if (!name) {
+        name = 'index' + extension;
+      }
+
+      const dot = name.lastIndexOf('.');
+      let base = dot > 0 ? name.substring(0, dot) : name;
+      let ext = dot > 0 ? name.substring(dot) : '';
+      if (extension && !this.hasExtension(ext, extension)) {
+        // Keep the original name readable and still give the file a usable extension
+        base = name;
+        ext = extension;
+      }
+
+      // Query string variants of the same path are different files
+      const query = url.search.substring(1);
+      if (query) {
+        base += '@' + (query.length <= 40 ? query : this.hash(query));
+      }
+
+      return [...folders, this.sanitizeSegment(base.substring(0, 150) + ext)].join('/');
+    }
+  };
+
+  // Source map resolver - rebuilds the original source tree of a bundle
+  const sourceMaps = {
+    // Locate the source map from response headers or the trailing sourceMappingURL comment
+    findMapUrl(code, headers, scriptUrl) {
+      let reference = headers
+        ? headers.get('SourceMap') || headers.get('X-SourceMap')
+        : null;
+
+      if (!reference) {
+        // Only the last annotation counts, and inline maps can be huge, so avoid a full regex scan
+        const index = code.lastIndexOf('sourceMappingURL=');
+        if (index === -1 || !/[#@]\s*$/.test(code.substring(Math.max(0, index - 8), index))) {
+          return null;
+        }
+        const match = code.substring(index + 'sourceMappingURL='.length).match(/^[^\s*'"]+/);
+        reference = match ? match[0] : null;
+      }
+
+      if (!reference) {
+        return null;
+      }
+
+      try {
+        return new URL(reference.trim(), scriptUrl).href;
+      } catch {
+        return null;
+      }
+    },
+
+    // Decode a data: URL map (base64 or percent-encoded)
+    decodeDataUrl(dataUrl) {
+      const commaIndex = dataUrl.indexOf(',');
+      const meta = dataUrl.substring(0, commaIndex);
+      const payload = dataUrl.substring(commaIndex + 1);
+
+      if (/;base64$/i.test(meta)) {
+        const binary = atob(payload);
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return new TextDecoder().decode(bytes);
+      }
+      return decodeURIComponent(payload);
+    },
+
+    // Fetch and parse a source map, including inline data: maps
+    async fetchMap(mapUrl) {
+      let text;
+      if (mapUrl.startsWith('data:')) {
+        text = this.decodeDataUrl(mapUrl);
+      } else {
+        text = await downloadManager.fetchExternalContent(mapUrl);
+      }
+
+      if (!text) {
+        return null;
+      }
+
+      // Strip the XSSI guard some servers prepend to JSON responses
+      return JSON.parse(text.replace(/^\)\]\}'[^\n]*\n/, ''));
+    },
+
+    // Flatten a (possibly indexed) source map into { path, content } entries
+    async extractSources(map, mapUrl) {
+      if (Array.isArray(map.sections)) {
+        const nested = [];
+        for (const section of map.sections) {
+          if (section.map) {
+            nested.push(...await this.extractSources(section.map, mapUrl));
+          }
+        }
+        return nested;
+      }
+
+      const sources = map.sources || [];
+      const contents = map.sourcesContent || [];
+      const entries = [];
+
+      for (let i = 0; i < sources.length; i++) {
+        if (sources[i] === null || sources[i] === undefined) continue;
+
+        const source = map.sourceRoot && !/^[a-z][\w+.-]*:/i.test(sources[i])
+          ? map.sourceRoot.replace(/\/?$/, '/') + sources[i]
+          : sources[i];
+        let content = typeof contents[i] === 'string' ? contents[i] : null;
+
+        // Maps without sourcesContent point at files that can often still be fetched
+        if (content === null && !mapUrl.startsWith('data:')) {
+          try {
+            const sourceUrl = new URL(source, mapUrl);
+            if (sourceUrl.protocol.startsWith('http')) {
+              content = await downloadManager.fetchExternalContent(sourceUrl.href);
+            }
+          } catch {
+            content = null;
+          }
+        }
+
+        if (content !== null) {
+          entries.push({ path: paths.fromSourcePath(source), content });
+        }
+      }
+
+      return entries;
+    },
+
+    // Write every original source of a bundle next to it, keeping the original paths
+    async restoreSources(code, headers, asset, writer, outputPath = asset.filename) {
+      const mapUrl = this.findMapUrl(code, headers, asset.url);
+      if (!mapUrl) {
+        return 0;
+      }
+
+      try {
+        const map = await this.fetchMap(mapUrl);
+        if (!map) {
+          return 0;
+        }
+
+        const entries = await this.extractSources(map, mapUrl);
+        const folder = `${outputPath}_sources`;
+        const written = new Set();
+
+        for (const entry of entries) {
+          // Loaders can list the same module twice (e.g. webpack ?query variants collapsing)
+          if (written.has(entry.path)) continue;
+          written.add(entry.path);
+
+          await writer.writeText(`${folder}/${entry.path}`, entry.content);
+        }
+
+        console.log(`Restored ${written.size} original sources for ${asset.filename}`);
+        return written.size;
+      } catch (error) {
+        console.warn(`Failed to restore sources from ${mapUrl}:`, error.message);
+        return 0;
+      }
+    }
+  };
+
+  // Tiny evaluator for the string-building expressions in bundler runtimes - page code is never run
+  const runtimeExpression = {
+    tokenPattern: /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|(0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE]\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`(?:[^`\\$]|\\.)*`)|([A-Za-z_$][\w$]*)|(===|!==|==|!=|\|\||&&|=>|[()[\]{}.,:;?+!])/y,
+
+    // Decode the body of a string literal token
+    unquote(literal) {
+      return literal.slice(1, -1).replace(/\\(x[\da-fA-F]{2}|u\{[\da-fA-F]+\}|u[\da-fA-F]{4}|[\s\S])/g, (match, escape) => {
+        if (escape[0] === 'x' || escape[0] === 'u') {
+          return String.fromCodePoint(parseInt(escape.replace(/[xu{}]/g, ''), 16));
+        }
+        return { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' }[escape] || escape;
+      });
+    },
+
+    tokenize(source) {
+      const tokens = [];
+      this.tokenPattern.lastIndex = 0;
+      while (this.tokenPattern.lastIndex < source.length) {
+        const start = this.tokenPattern.lastIndex;
+        const match = this.tokenPattern.exec(source);
+        if (!match) {
+          throw new Error(`Unsupported syntax at ${start}`);
+        }
+        if (match[1]) tokens.push({ type: 'number', value: Number(match[1]) });
+        else if (match[2]) tokens.push({ type: 'string', value: this.unquote(match[2]) });
+        else if (match[3]) tokens.push({ type: 'name', value: match[3] });
+        else if (match[4]) tokens.push({ type: 'punct', value: match[4] });
+      }
+      return tokens;
+    },
+
+    // Find where an expression starting at `start` ends (top-level , ; or closing bracket). Strings,
+    // templates, regex literals and comments are skipped whole by the deobfuscator's lexer
+    findEnd(code, start) {
+      let depth = 0;
+      let i = start;
+      for (const token of deobfuscator.tokens(code, start)) {
+        if (token.type === 'punct') {
+          const char = token.text;
+          if (char === '(' || char === '[' || char === '{') {
+            depth++;
+          } else if (char === ')' || char === ']' || char === '}') {
+            if (depth === 0) return i;
+            depth--;
+          } else if ((char === ',' || char === ';') && depth === 0) {
+            return i;
+          }
+        }
+        i += token.text.length;
+      }
+      return code.length;
+    },
+
+    // Parse into a small AST: literals, the parameter, X.p, object lookups, +, ||, equality and ?:
+    parse(source) {
+      const tokens = this.tokenize(source);
+      let position = 0;
+
+      const peek = (value) => tokens[position] && tokens[position].type === 'punct' && tokens[position].value === value;
+      const expect = (value) => {
+        if (!peek(value)) throw new Error(`Expected ${value}`);
+        position++;
+      };
+
+      const parsePrimary = () => {
+        const token = tokens[position++];
+        if (!token) throw new Error('Unexpected end of expression');
+
+        if (token.type === 'number' || token.type === 'string') {
+          return { type: 'literal', value: token.value };
+        }
+        if (token.type === 'name') {
+          if (token.value === 'void') {
+            parseUnary();
+            return { type: 'literal', value: undefined };
+          }
+          return { type: 'name', name: token.value };
+        }
+        if (token.value === '(') {
+          const inner = parseConditional();
+          expect(')');
+          return inner;
+        }
+        if (token.value === '!') {
+          return { type: 'not', argument: parseUnary() };
+        }
+        if (token.value === '{') {
+          const entries = [];
+          while (!peek('}')) {
+            const key = tokens[position++];
+            if (!key || key.type === 'punct') throw new Error('Unsupported object key');
+            expect(':');
+            entries.push([String(key.value), parseConditional()]);
+            if (!peek('}')) expect(',');
+          }
+          expect('}');
+          return { type: 'object', entries };
+        }
+        throw new Error(`Unexpected token ${token.value}`);
+      };
+
+      const parseUnary = () => {
+        let node = parsePrimary();
+        for (;;) {
+          if (peek('.')) {
+            position++;
+            node = { type: 'member', object: node, property: tokens[position++].value };
+          } else if (peek('[')) {
+            position++;
+            node = { type: 'index', object: node, index: parseConditional() };
+            expect(']');
+          } else {
+            return node;
+          }
+        }
+      };
+
+      const parseBinary = (operators, next) => () => {
+        let node = next();
+        while (tokens[position] && tokens[position].type === 'punct' && operators.includes(tokens[position].value)) {
+          const operator = tokens[position++].value;
+          node = { type: 'binary', operator, left: node, right: next() };
+        }
+        return node;
+      };
+
+      const parseAdditive = parseBinary(['+'], parseUnary);
+      const parseEquality = parseBinary(['===', '!==', '==', '!='], parseAdditive);
+      const parseLogical = parseBinary(['||', '&&'], parseEquality);
+
+      const parseConditional = () => {
+        const test = parseLogical();
+        if (!peek('?')) return test;
+        position++;
+        const consequent = parseConditional();
+        expect(':');
+        return { type: 'conditional', test, consequent, alternate: parseConditional() };
+      };
+
+      const ast = parseConditional();
+      if (position < tokens.length && !peek(';')) {
+        throw new Error('Trailing tokens in expression');
+      }
+      return ast;
+    },
+
+    // Chunk IDs mentioned by the expression itself (lookup keys and === comparisons)
+    collectIds(node, param, ids = new Set()) {
+      if (!node || typeof node !== 'object') return ids;
+
+      if (node.type === 'object') {
+        node.entries.forEach(([key]) => ids.add(key));
+      }
+      if (node.type === 'binary' && /=/.test(node.operator)) {
+        [[node.left, node.right], [node.right, node.left]].forEach(([side, other]) => {
+          if (side.type === 'name' && side.name === param && other.type === 'literal') {
+            ids.add(String(other.value));
+          }
+        });
+      }
+      Object.values(node).forEach(child => {
+        if (Array.isArray(child)) {
+          child.forEach(item => (Array.isArray(item) ? item : [item]).forEach(part => this.collectIds(part, param, ids)));
+        } else {
+          this.collectIds(child, param, ids);
+        }
+      });
+      return ids;
+    },
+
+    // Evaluate for one chunk ID; env = { param, value, publicPath }
+    evaluate(node, env) {
+      switch (node.type) {
+        case 'literal':
+          return node.value;
+        case 'name':
+          if (node.name === env.param) return env.value;
+          if (node.name === 'undefined') return undefined;
+          throw new Error(`Unknown identifier ${node.name}`);
+        case 'member':
+          // __webpack_require__.p is the public path
+          if (node.property === 'p' && node.object.type === 'name') {
+            env.usedPublicPath = true;
+            return env.publicPath;
+          }
+          throw new Error(`Unsupported member .${node.property}`);
+        case 'index': {
+          const object = this.evaluate(node.object, env);
+          const key = String(this.evaluate(node.index, env));
+          if (object && typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, key)) {
+            return object[key];
+          }
+          return undefined;
+        }
+        case 'object': {
+          const object = {};
+          node.entries.forEach(([key, value]) => {
+            object[key] = this.evaluate(value, env);
+          });
+          return object;
+        }
+        case 'not':
+          return !this.evaluate(node.argument, env);
+        case 'conditional':
+          return this.evaluate(node.test, env)
+            ? this.evaluate(node.consequent, env)
+            : this.evaluate(node.alternate, env);
+        case 'binary': {
+          const left = this.evaluate(node.left, env);
+          if (node.operator === '||') return left || this.evaluate(node.right, env);
+          if (node.operator === '&&') return left && this.evaluate(node.right, env);
+
+          const right = this.evaluate(node.right, env);
+          switch (node.operator) {
+            case '+': return left + right;
+            case '===': return left === right;
+            case '!==': return left !== right;
+            // Loose on purpose: the chunk functions being evaluated compare like this too (e.g. a numeric
+            // chunk id against a string key), so the page's own coercion must be reproduced
+            case '==': return left == right;
+            case '!=': return left != right;
+          }
+        }
+      }
+      throw new Error(`Unsupported node ${node.type}`);
+    }
+  };
+
+  // Lazy chunk discovery for webpack, Next.js and Vite builds
+  const chunkDiscovery = {
+    maxChunks: 2000,
+
+    // Chunk-filename functions: webpack 5 `__webpack_require__.u` and webpack 4 `jsonpScriptSrc`
+    findWebpackRuntimes(code, scriptUrl) {
+      const runtimes = [];
+      const patterns = [
+        /\.u\s*=\s*(?:function\s*\(\s*([\w$]+)\s*\)\s*\{|\(?\s*([\w$]+)\s*\)?\s*=>\s*(\{)?)/g,
+        /function\s*[\w$]*\s*\(\s*([\w$]+)\s*\)\s*\{(?=\s*return\s+[\w$]+\.p\s*\+)/g
+      ];
+
+      patterns.forEach(pattern => {
+        for (const match of code.matchAll(pattern)) {
+          const param = match[1] || match[2];
+          let start = match.index + match[0].length;
+
+          // Block bodies must be a single `return <expression>`
+          if (match[0].endsWith('{')) {
+            const body = code.substring(start).match(/^(?:\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*return\b/);
+            if (!body) continue;
+            start += body[0].length;
+          }
+
+          const end = runtimeExpression.findEnd(code, start);
+          try {
+            const ast = runtimeExpression.parse(code.substring(start, end));
+            runtimes.push({
+              param,
+              ast,
+              scriptUrl,
+              ids: runtimeExpression.collectIds(ast, param),
+              publicPath: this.findPublicPath(code, match.index)
+            });
+          } catch {
+            // Not a chunk-filename function after all
+          }
+        }
+      });
+
+      return runtimes;
+    },
+
+    // The __webpack_require__.p assignment closest to the runtime function
+    findPublicPath(code, near) {
+      const window = code.substring(Math.max(0, near - 20000), near + 20000);
+      let best = null;
+      for (const match of window.matchAll(/[\w$]\.p\s*=\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/g)) {
+        const distance = Math.abs(match.index - Math.min(near, 20000));
+        if (!best || distance < best.distance) {
+          best = { distance, value: runtimeExpression.unquote(match[1]) };
+        }
+      }
+      return best ? best.value : null;
+    },
+
+    // Chunk IDs requested through __webpack_require__.e(...)
+    findChunkIds(code) {
+      const ids = new Set();
+      for (const match of code.matchAll(/[\w$]\.e\(\s*(\d+|"[^"\\]*"|'[^'\\]*')\s*\)/g)) {
+        ids.add(/^\d/.test(match[1]) ? match[1] : match[1].slice(1, -1));
+      }
+      return ids;
+    },
+
+    webpackChunkUrls(runtime, extraIds) {
+      const urls = [];
+      const ids = new Set([...runtime.ids, ...extraIds]);
+      // "auto" public paths resolve relative to the running script
+      const publicPath = runtime.publicPath && runtime.publicPath !== 'auto' ? runtime.publicPath : './';
+
+      ids.forEach(id => {
+        const env = { param: runtime.param, value: /^\d+$/.test(id) ? Number(id) : id, publicPath };
+        try {
+          const path = runtimeExpression.evaluate(runtime.ast, env);
+          if (typeof path !== 'string' || !/\.m?js(\?|$)/.test(path) || path.includes('undefined')) return;
+          urls.push(new URL(env.usedPublicPath ? path : publicPath + path, runtime.scriptUrl).href);
+        } catch {
+          // ID not produced by this runtime
+        }
+      });
+
+      return urls;
+    },
+
+    // Next.js lists every page's chunks in _buildManifest.js
+    findNextManifestChunks(code, scriptUrl) {
+      const index = scriptUrl.indexOf('/_next/');
+      if (!/_buildManifest\.js(\?|$)/.test(scriptUrl) || index === -1) {
+        return [];
+      }
+
+      const base = scriptUrl.substring(0, index + '/_next/'.length);
+      const urls = [];
+      for (const match of code.matchAll(/"(static\/[^"]+\.js)"/g)) {
+        urls.push(new URL(runtimeExpression.unquote(`"${match[1]}"`), base).href);
+      }
+      return urls;
+    },
+
+    // Vite's __vitePreload / __vite__mapDeps dependency lists and import("./chunk.js") calls
+    findViteDeps(code, scriptUrl) {
+      if (!/__vite__mapDeps|__vitePreload|vite:preloadError/.test(code)) {
+        return [];
+      }
+
+      // Deps such as "assets/About-1a2b.js" are relative to the app base, i.e. the parent of assets/
+      const assetsIndex = scriptUrl.lastIndexOf('/assets/');
+      const base = assetsIndex !== -1 ? scriptUrl.substring(0, assetsIndex + 1) : new URL('/', scriptUrl).href;
+      const urls = [];
+
+      for (const match of code.matchAll(/(["'`])((?:\.{1,2}\/|assets\/)[\w\-.\/@~]+\.m?js)\1/g)) {
+        const path = match[2];
+        urls.push(new URL(path, path.startsWith('.') ? scriptUrl : base).href);
+      }
+      return urls;
+    },
+
+    // Fetch scripts, find bundler runtimes and return every chunk not already in the capture
+    async expand(assets, capture) {
+      const known = new Set(assets.map(asset => asset.url).filter(Boolean));
+      const runtimes = [];
+      const chunkIds = new Set();
+      const discovered = [];
+      let pending = assets.filter(asset => asset.url && assetTypes.isScript(asset.type));
+
+      while (pending.length > 0 && discovered.length < this.maxChunks) {
+        const found = [];
+
+        for (const asset of pending) {
+          const response = await downloadManager.fetchExternalResponse(asset.url, capture.responses);
+          if (!response) continue;
+
+          runtimes.push(...this.findWebpackRuntimes(response.text, asset.url));
+          this.findChunkIds(response.text).forEach(id => chunkIds.add(id));
+          found.push(
+            ...this.findNextManifestChunks(response.text, asset.url).map(url => ({ url, from: asset.url })),
+            ...this.findViteDeps(response.text, asset.url).map(url => ({ url, from: asset.url }))
+          );
+        }
+
+        // Chunks can request further chunks, so re-run every runtime against all IDs seen so far
+        runtimes.forEach(runtime => {
+          found.push(...this.webpackChunkUrls(runtime, chunkIds).map(url => ({ url, from: runtime.scriptUrl })));
+        });
+
+        pending = [];
+        for (const { url, from } of found) {
+          if (known.has(url) || discovered.length >= this.maxChunks) continue;
+          known.add(url);
+
+          const asset = {
+            url,
+            filename: paths.filenameFromUrl(url, '.js'),
+            type: 'external-js',
+            discoveredFrom: from
+          };
+          discovered.push(asset);
+          pending.push(asset);
+        }
+      }
+
+      return discovered;
+    }
+  };
+
+  // Recon report - endpoints, URLs, GraphQL operations, request call sites and likely secrets
+  const recon = {
+    // Text files worth scanning, by extension
+    scannable: /\.(m?js|cjs|jsx|tsx?|vue|svelte|html?)$/i,
+
+    // Static file paths are noise in the endpoint list
+    staticPath: /\.(png|jpe?g|gif|svg|webp|ico|css|woff2?|ttf|eot|map|mp4|webm|mp3)(\?|$)/i,
+
+    rules: [
+      { category: 'urls', kind: 'url', pattern: /\b(?:https?|wss?):\/\/[^\s"'`<>()\\]+/g },
+      {
+        category: 'paths',
+        kind: 'api-path',
+        pattern: /["'`](\/(?:api|v\d+|graphql|rest|rpc|internal|admin|auth|oauth2?)(?:\/[\w\-.{}:$]*)*)["'`]/gi,
+        group: 1
+      },
+      {
+        category: 'paths',
+        kind: 'path',
+        pattern: /["'`](\/[\w\-]+(?:\/[\w\-.{}:$]+)+\/?)["'`]/g,
+        group: 1
+      },
+      {
+        category: 'graphql',
+        kind: 'graphql-operation',
+        pattern: /\b(query|mutation|subscription)\s+([A-Za-z_]\w*)\s*[({]/g,
+        format: match => `${match[1]} ${match[2]}`
+      },
+      {
+        category: 'calls',
+        kind: 'request-call',
+        pattern: /\bfetch\s*\(|\.open\s*\(\s*["'`](?:GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS)["'`]|\baxios(?:\.\w+)?\s*\(|\$\.(?:ajax|get|post|getJSON)\s*\(|new\s+(?:XMLHttpRequest|WebSocket|EventSource)\s*\(/g,
+        // The call site is identified by its trimmed source line
+        format: (match, line) => line.trim().substring(0, 160)
+      },
+      { category: 'secrets', kind: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+      { category: 'secrets', kind: 'jwt', pattern: /\beyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]{10,}/g },
+      { category: 'secrets', kind: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+      { category: 'secrets', kind: 'stripe-key', pattern: /\b(?:sk|rk)_live_[0-9a-zA-Z]{20,}\b/g },
+      { category: 'secrets', kind: 'github-token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+      { category: 'secrets', kind: 'slack-token', pattern: /\bxox[abprs]-[0-9A-Za-z-]{10,}/g },
+      { category: 'secrets', kind: 'private-key', pattern: /-----BEGIN (?:RSA |EC |OPENSSH |DSA )?PRIVATE KEY-----/g },
+      {
+        category: 'secrets',
+        kind: 'high-entropy-token',
+        pattern: /(?:key|secret|token|auth|passw(?:or)?d|credential|api)[\w-]*["'`]?\s*[:=]\s*["'`]([A-Za-z0-9+/_\-=.]{16,128})["'`]/gi,
+        group: 1,
+        accept: value => recon.entropy(value) >= 3.5 && /\d/.test(value) && /[a-zA-Z]/.test(value)
+      }
+    ],
+
+    // Shannon entropy in bits per character
+    entropy(value) {
+      const counts = {};
+      for (const char of value) {
+        counts[char] = (counts[char] || 0) + 1;
+      }
+      return Object.values(counts).reduce((sum, count) => {
+        const p = count / value.length;
+        return sum - p * Math.log2(p);
+      }, 0);
+    },
+
+    createReport(capture) {
+      const findings = new Map();
+      const files = [];
+
+      const record = (rule, value, file, line) => {
+        const key = `${rule.category}\u0000${value}`;
+        let finding = findings.get(key);
+        if (!finding) {
+          finding = { category: rule.category, kind: rule.kind, value, locations: [] };
+          findings.set(key, finding);
+        }
+        // Keep the report readable when a value appears in every chunk
+        if (finding.locations.length < 50 && !finding.locations.some(l => l.file === file && l.line === line)) {
+          finding.locations.push({ file, line });
+        }
+      };
+
+      const report = {
+        scan(file, text) {
+          if (!recon.scannable.test(file)) return;
+          files.push(file);
+
+          const lineStarts = [0];
+          for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+            lineStarts.push(i + 1);
+          }
+          const lineAt = (index) => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+              const mid = (low + high + 1) >> 1;
+              if (lineStarts[mid] <= index) low = mid;
+              else high = mid - 1;
+            }
+            return low;
+          };
+
+          recon.rules.forEach(rule => {
+            for (const match of text.matchAll(rule.pattern)) {
+              const lineIndex = lineAt(match.index);
+              const lineText = text.substring(lineStarts[lineIndex], lineStarts[lineIndex + 1] || text.length);
+              const value = rule.format ? rule.format(match, lineText) : match[rule.group || 0];
+
+              if (!value) continue;
+              if (rule.category === 'paths' && recon.staticPath.test(value)) continue;
+              if (rule.accept && !rule.accept(value)) continue;
+
+              record(rule, value, file, lineIndex + 1);
+            }
+          });
+        },
+
+        // Wrap a writer so every text file on its way out is scanned first
+        watch(writer) {
+          return {
+            ...writer,
+            async writeText(path, content, mimeType) {
+              report.scan(path, content);
+              return writer.writeText(path, content, mimeType);
+            }
+          };
+        },
+
+        toJSON() {
+          const grouped = {};
+          for (const finding of findings.values()) {
+            (grouped[finding.category] = grouped[finding.category] || []).push(finding);
+          }
+          return {
+            pageUrl: capture.pageUrl,
+            generatedAt: new Date().toISOString(),
+            filesScanned: files.length,
+            findings: grouped
+          };
+        },
+
+        toMarkdown() {
+          const data = this.toJSON();
+          const escape = (value) => String(value).replace(/\|/g, '\\|').replace(/`/g, "'").replace(/\s+/g, ' ');
+          const titles = { secrets: 'Likely secrets', paths: 'API paths', urls: 'URLs', graphql: 'GraphQL operations', calls: 'fetch/XHR call sites' };
+          const lines = [
+            `# Recon report for ${data.pageUrl}`,
+            '',
+            `Generated ${data.generatedAt} from ${data.filesScanned} files.`,
+            ''
+          ];
+
+          Object.keys(titles).forEach(category => {
+            const items = data.findings[category] || [];
+            lines.push(`## ${titles[category]} (${items.length})`, '');
+            if (items.length === 0) {
+              lines.push('_None found._', '');
+              return;
+            }
+            lines.push('| Value | Kind | Found in |', '| --- | --- | --- |');
+            items.forEach(item => {
+              const where = item.locations.slice(0, 5).map(l => `${l.file}:${l.line}`).join(', ');
+              const more = item.locations.length > 5 ? ` (+${item.locations.length - 5} more)` : '';
+              lines.push(`| \`${escape(item.value)}\` | ${item.kind} | ${escape(where)}${more} |`);
+            });
+            lines.push('');
+          });
+
+          return lines.join('\n');
+        },
+
+        // Write recon.json and recon.md next to the assets
+        async write(target) {
+          await target.writeText('recon.json', JSON.stringify(this.toJSON(), null, 2), 'application/json');
+          await target.writeText('recon.md', this.toMarkdown(), 'text/markdown');
+          return { findings: findings.size, files: files.length };
+        }
+      };
+
+      return report;
+    }
+  };
+
+  // Third-party library fingerprinting against the bundled, retire.js-style signature database
+  const libraryScanner = {
+    database: null,
+
+    // library-signatures.json ships with the extension, so fingerprinting works offline
+    async load() {
+      if (!this.database) {
+        this.database = fetch(chrome.runtime.getURL('library-signatures.json'))
+          .then(response => response.json())
+          .then(data => this.compile(data))
+          .catch(error => {
+            this.database = null;
+            throw error;
+          });
+      }
+      return this.database;
+    },
+
+    // Turn each §§version§§ placeholder into a named capture group
+    compile(data) {
+      const toRegExp = pattern => new RegExp(pattern.replace('§§version§§', `(?<version>${data.versionPattern})`));
+      return Object.entries(data.libraries).map(([id, library]) => ({
+        id,
+        name: library.name,
+        uri: (library.extractors.uri || []).map(toRegExp),
+        filecontent: (library.extractors.filecontent || []).map(toRegExp),
+        hashes: library.extractors.hashes || {},
+        vulnerabilities: library.vulnerabilities || []
+      }));
+    },
+
+    // Identify a script by content hash, then by banners and version constants, then by its URL.
+    // `standalone` is set only when the whole file is the library: a known hash, or the library's banner
+    // at the very top of a file whose URL names the library too. A first-party bundle that inlines a
+    // library still matches its banner further down, and must not be mistaken for it.
+    async identify(asset, content) {
+      let libraries;
+      try {
+        libraries = await this.load();
+      } catch (error) {
+        console.warn('Could not load library signatures:', error);
+        return null;
+      }
+
+      let pathname = null;
+      if (asset.url) {
+        try {
+          pathname = new URL(asset.url).pathname;
+        } catch {
+          // Inline and generated assets are identified by content alone
+        }
+      }
+
+      if (content !== null) {
+        const hash = await captureStore.hash(content);
+        const hashed = libraries.find(library => library.hashes[hash]);
+        if (hashed) {
+          return this.describe(hashed, hashed.hashes[hash], 'hash', true);
+        }
+
+        for (const library of libraries) {
+          const match = this.match(library.filecontent, content);
+          if (match) {
+            const atTop = content.substring(0, match.index).trim() === '';
+            const standalone = atTop && pathname !== null && this.match(library.uri, pathname) !== null;
+            return this.describe(library, match.version, 'filecontent', standalone);
+          }
+        }
+      }
+
+      if (pathname !== null) {
+        for (const library of libraries) {
+          const match = this.match(library.uri, pathname);
+          if (match) {
+            return this.describe(library, match.version, 'uri', false);
+          }
+        }
+      }
+
+      return null;
+    },
+
+    // The first pattern that matches, with the version it captured and where it matched
+    match(patterns, text) {
+      for (const pattern of patterns) {
+        const match = pattern.exec(text);
+        if (match) {
+          return { version: match.groups.version, index: match.index };
+        }
+      }
+      return null;
+    },
+
+    describe(library, version, detectedBy, standalone) {
+      return {
+        id: library.id,
+        name: library.name,
+        version,
+        detectedBy,
+        standalone,
+        vulnerabilities: this.vulnerabilitiesFor(library, version)
+      };
+    },
+
+    vulnerabilitiesFor(library, version) {
+      return library.vulnerabilities.filter(vulnerability =>
+        (!vulnerability.atOrAbove || this.compareVersions(version, vulnerability.atOrAbove) >= 0)
+        && (!vulnerability.below || this.compareVersions(version, vulnerability.below) < 0));
+    },
+
+    // Numeric comparison of dotted versions; a prerelease sorts before its release
+    compareVersions(a, b) {
+      const [mainA, preA] = String(a).split(/-(.*)/);
+      const [mainB, preB] = String(b).split(/-(.*)/);
+      const partsA = mainA.split('.').map(Number);
+      const partsB = mainB.split('.').map(Number);
+
+      for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference !== 0) {
+          return Math.sign(difference);
+        }
+      }
+
+      if (!preA || !preB) {
+        return preA ? -1 : preB ? 1 : 0;
+      }
+      return preA.localeCompare(preB, undefined, { numeric: true });
+    },
+
+    // One entry per library version, listing every file it was found in
+    summarize(results, pageUrl) {
+      const libraries = new Map();
+      results.filter(result => result.library).forEach(result => {
+        const { id, name, version, detectedBy, vulnerabilities } = result.library;
+        const key = `${id}@${version}`;
+        if (!libraries.has(key)) {
+          libraries.set(key, { id, name, version, vulnerabilities, files: [] });
+        }
+        libraries.get(key).files.push({
+          url: result.url || null,
+          filename: result.filename,
+          detectedBy,
+          skipped: Boolean(result.skipped)
+        });
+      });
+
+      return {
+        pageUrl,
+        generatedAt: new Date().toISOString(),
+        libraries: [...libraries.values()]
+      };
+    },
+
+    toMarkdown(data) {
+      const escape = (value) => String(value).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+      const vulnerable = data.libraries.filter(library => library.vulnerabilities.length > 0);
+      const lines = [
+        `# Third-party libraries on ${data.pageUrl}`,
+        '',
+        `Generated ${data.generatedAt}. ${data.libraries.length} libraries identified, ${vulnerable.length} with known vulnerabilities.`,
+        '',
+        '| Library | Version | Known vulnerabilities | Found in |',
+        '| --- | --- | --- | --- |'
+      ];
+
+      data.libraries.forEach(library => {
+        const where = library.files.map(file => `${file.filename} (${file.detectedBy}${file.skipped ? ', skipped' : ''})`).join(', ');
+        lines.push(`| ${escape(library.name)} | ${escape(library.version)} | ${library.vulnerabilities.length} | ${escape(where)} |`);
+      });
+      lines.push('');
+
+      vulnerable.forEach(library => {
+        lines.push(`## ${library.name} ${library.version}`, '');
+        library.vulnerabilities.forEach(vulnerability => {
+          const range = [
+            vulnerability.atOrAbove && `>= ${vulnerability.atOrAbove}`,
+            vulnerability.below ? `< ${vulnerability.below}` : 'no fixed release'
+          ].filter(Boolean).join(', ');
+          lines.push(`- **${vulnerability.identifiers.join(', ')}** (${vulnerability.severity}, affects ${range}): ${vulnerability.summary}`);
+        });
+        lines.push('');
+      });
+
+      return lines.join('\n');
+    },
+
+    // Write libraries.json and libraries.md next to the assets when anything was recognized
+    async write(target, results, pageUrl) {
+      const data = this.summarize(results, pageUrl);
+      if (data.libraries.length === 0) {
+        return { libraries: 0, vulnerable: 0 };
+      }
+      await target.writeText('libraries.json', JSON.stringify(data, null, 2), 'application/json');
+      await target.writeText('libraries.md', this.toMarkdown(data), 'text/markdown');
+      return {
+        libraries: data.libraries.length,
+        vulnerable: data.libraries.filter(library => library.vulnerabilities.length > 0).length
+      };
+    }
+  };
+
+  // Provenance of every saved file: the capture's manifest.json, Subresource Integrity checks and
+  // the header comment that points a beautified file back to where it came from
+  const provenance = {
+    // Response headers worth keeping: content negotiation, caching, source maps and security policy
+    headerNames: [
+      'content-type', 'content-length', 'content-encoding', 'etag', 'last-modified', 'cache-control', 'date', 'age',
+      'server', 'x-powered-by', 'sourcemap', 'x-sourcemap', 'content-security-policy', 'access-control-allow-origin'
+    ],
+    // SRI algorithms, weakest first; only the strongest one listed in an integrity attribute counts
+    integrityAlgorithms: { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' },
+
+    pickHeaders(headers) {
+      if (!headers) return null;
+      const picked = {};
+      this.headerNames.forEach(name => {
+        const value = headers.get(name);
+        if (value !== null) {
+          picked[name] = value;
+        }
+      });
+      return picked;
+    },
+
+    async sha256(bytes) {
+      const digest = await crypto.subtle.digest('SHA-256', bytes);
+      return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    // Check fetched bytes against a script or stylesheet's integrity attribute
+    async checkIntegrity(integrity, bytes) {
+      const algorithms = Object.keys(this.integrityAlgorithms);
+      const expected = integrity.trim().split(/\s+/)
+        .map(token => token.match(/^(sha256|sha384|sha512)-([A-Za-z0-9+/_-]+={0,2})(\?.*)?$/i))
+        .filter(Boolean)
+        .map(([, algorithm, value]) => ({ algorithm: algorithm.toLowerCase(), value }));
+      if (expected.length === 0) {
+        return { integrity, algorithm: null, matched: null, error: 'No supported hash in the integrity attribute' };
+      }
+
+      const algorithm = algorithms.filter(name => expected.some(entry => entry.algorithm === name)).pop();
+      const digest = new Uint8Array(await crypto.subtle.digest(this.integrityAlgorithms[algorithm], bytes));
+      const actual = downloadManager.bytesToBase64(digest);
+      // Some sites publish base64url hashes
+      const normalize = (value) => value.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '');
+      const matched = expected.some(entry => entry.algorithm === algorithm && normalize(entry.value) === normalize(actual));
+      return { integrity, algorithm, matched, actual: `${algorithm}-${actual}` };
+    },
+
+    // Comment placed at the top of a beautified file; JSON has no comment syntax, so it gets none
+    header(kind, { sourceUrl, pageUrl, capturedAt }) {
+      const lines = [
+        `Source: ${sourceUrl || `inline, in ${pageUrl || 'unknown page'}`}`,
+        ...(sourceUrl && pageUrl && pageUrl !== sourceUrl ? [`Page: ${pageUrl}`] : []),
+        `Captured ${capturedAt} and beautified by evil downloader; hashes in manifest.json`
+      ];
+      if (kind === 'js' || kind === 'css') {
+        return `/*\n${lines.map(line => ` * ${line.replace(/\*\//g, '*\\/')}`).join('\n')}\n */\n`;
+      }
+      if (kind === 'html') {
+        return `<!--\n${lines.map(line => `  ${line.replace(/--/g, '-\\-')}`).join('\n')}\n-->\n`;
+      }
+      return '';
+    },
+
+    // One manifest entry per download result
+    entryFor(result) {
+      const { filename, type, url, success, skipped, reason, error, note, sources, deobfuscated, library } = result;
+      return {
+        filename,
+        type,
+        sourceUrl: url || null,
+        ...(result.provenance || {}),
+        success,
+        ...(skipped ? { skipped, reason } : {}),
+        ...(error ? { error } : {}),
+        ...(note ? { note } : {}),
+        ...(sources ? { sources } : {}),
+        ...(deobfuscated ? { deobfuscated: deobfuscated.filename } : {}),
+        ...(library ? { library: { name: library.name, version: library.version } } : {})
+      };
+    },
+
+    async write(target, capture, results, options) {
+      const manifest = {
+        generator: 'evil downloader',
+        version: chrome.runtime.getManifest().version,
+        pageUrl: capture.pageUrl,
+        capturedAt: capture.startedAt.toISOString(),
+        options,
+        assets: results.map(result => this.entryFor(result))
+      };
+      await target.writeText('manifest.json', JSON.stringify(manifest, null, 2), 'application/json');
+      return {
+        integrityChecked: results.filter(result => result.provenance && result.provenance.integrity).length,
+        integrityFailed: results.filter(result => result.provenance && result.provenance.integrity && result.provenance.integrity.matched === false).length
+      };
+    }
+  };
+
+  // Line-based unified diff (Myers) for comparing beautified captures
+  const textDiff = {
+    // Beyond this many edits the files are shown as fully replaced
+    maxEdits: 2000,
+
+    // Returns [{ type: ' ' | '-' | '+', line }]
+    diffLines(a, b) {
+      let start = 0;
+      while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+      let endA = a.length;
+      let endB = b.length;
+      while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+      }
+
+      const oldMiddle = a.slice(start, endA);
+      const newMiddle = b.slice(start, endB);
+      const middle = this.myers(oldMiddle, newMiddle) || [
+        ...oldMiddle.map(line => ({ type: '-', line })),
+        ...newMiddle.map(line => ({ type: '+', line }))
+      ];
+
+      return [
+        ...a.slice(0, start).map(line => ({ type: ' ', line })),
+        ...middle,
+        ...a.slice(endA).map(line => ({ type: ' ', line }))
+      ];
+    },
+
+    myers(a, b) {
+      const n = a.length;
+      const m = b.length;
+      const limit = Math.min(n + m, this.maxEdits);
+      const offset = limit + 1;
+      const v = new Int32Array(2 * limit + 3);
+      const trace = [];
+
+      for (let d = 0; d <= limit; d++) {
+        for (let k = -d; k <= d; k += 2) {
+          let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+            ? v[offset + k + 1]
+            : v[offset + k - 1] + 1;
+          let y = x - k;
+          while (x < n && y < m && a[x] === b[y]) {
+            x++;
+            y++;
+          }
+          v[offset + k] = x;
+        }
+        // Keep only the diagonals reachable at this depth for backtracking
+        trace.push(v.slice(offset - d, offset + d + 1));
+
+        if (v[offset + n - m] >= n && Math.abs(n - m) <= d) {
+          return this.backtrack(trace, a, b);
+        }
+      }
+      return null;
+    },
+
+    backtrack(trace, a, b) {
+      const ops = [];
+      let x = a.length;
+      let y = b.length;
+
+      for (let d = trace.length - 1; d > 0; d--) {
+        const previous = trace[d - 1];
+        const at = (k) => previous[k + d - 1];
+        const k = x - y;
+        const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const previousX = at(previousK);
+        const previousY = previousX - previousK;
+
+        while (x > previousX && y > previousY) {
+          ops.push({ type: ' ', line: a[--x] });
+          y--;
+        }
+        if (x === previousX) {
+          ops.push({ type: '+', line: b[--y] });
+        } else {
+          ops.push({ type: '-', line: a[--x] });
+        }
+      }
+      while (x > 0 && y > 0) {
+        ops.push({ type: ' ', line: a[--x] });
+        y--;
+      }
+
+      return ops.reverse();
+    },
+
+    unified(oldText, newText, oldName, newName, context = 3) {
+      const ops = this.diffLines(oldText.split('\n'), newText.split('\n'));
+      let oldLine = 1;
+      let newLine = 1;
+      const numbered = ops.map(op => {
+        const entry = { ...op, oldLine, newLine };
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+        return entry;
+      });
+
+      const changes = numbered.map((op, index) => op.type === ' ' ? -1 : index).filter(index => index !== -1);
+      if (changes.length === 0) {
+        return '';
+      }
+
+      const lines = [`--- ${oldName}`, `+++ ${newName}`];
+      for (let i = 0; i < changes.length; i++) {
+        const start = Math.max(0, changes[i] - context);
+        let end = Math.min(numbered.length, changes[i] + context + 1);
+        // Merge changes whose context windows touch into one hunk
+        while (i + 1 < changes.length && changes[i + 1] - context <= end) {
+          i++;
+          end = Math.min(numbered.length, changes[i] + context + 1);
+        }
+
+        const hunk = numbered.slice(start, end);
+        const oldCount = hunk.filter(op => op.type !== '+').length;
+        const newCount = hunk.filter(op => op.type !== '-').length;
+        const oldStart = oldCount > 0 ? hunk.find(op => op.type !== '+').oldLine : hunk[0].oldLine - 1;
+        const newStart = newCount > 0 ? hunk.find(op => op.type !== '-').newLine : hunk[0].newLine - 1;
+
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        hunk.forEach(op => lines.push(op.type + op.line));
+      }
+
+      return lines.join('\n');
+    }
+  };
+
+  // Capture history in IndexedDB - the latest hashes and beautified content per page and asset.
+  // The same database holds the inline scripts of recording sessions (see recorder).
+  const captureStore = {
+    dbPromise: null,
+
+    open() {
+      if (!this.dbPromise) {
+        this.dbPromise = new Promise((resolve, reject) => {
+          const request = indexedDB.open('evil-downloader', 2);
+          request.onupgradeneeded = () => {
+            const db = request.result;
+            const stores = {
+              captures: { keyPath: 'pageUrl' },
+              assets: { keyPath: ['pageUrl', 'assetUrl'] },
+              recorded: { keyPath: ['tabId', 'hash'] }
+            };
+            Object.entries(stores)
+              .filter(([name]) => !db.objectStoreNames.contains(name))
+              .forEach(([name, options]) => db.createObjectStore(name, options));
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return this.dbPromise;
+    },
+
+    // Wrap an IDBRequest in a promise
+    settle(request) {
+      return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    },
+
+    // Fragments don't change which code a page loads
+    normalizePageUrl(url) {
+      return String(url).split('#')[0];
+    },
+
+    // Inline assets have no URL of their own, so they are keyed by their scanned name
+    assetKey(asset) {
+      return asset.url || `inline:${paths.inPage(asset)}`;
+    },
+
+    async hash(content) {
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(content));
+      return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    async getCapture(pageUrl) {
+      const db = await this.open();
+      const store = db.transaction('captures').objectStore('captures');
+      return (await this.settle(store.get(this.normalizePageUrl(pageUrl)))) || null;
+    },
+
+    async getAsset(pageUrl, assetUrl) {
+      const db = await this.open();
+      const store = db.transaction('assets').objectStore('assets');
+      return (await this.settle(store.get([this.normalizePageUrl(pageUrl), assetUrl]))) || null;
+    },
+
+    // Replace the stored capture of a page with [{ assetUrl, filename, type, content }]. Stored assets
+    // the new capture didn't cover are carried forward where keep(asset) says so, and dropped otherwise.
+    // The settings the content was normalized with ({ prettifyJs, profile }) are stored along with it.
+    async saveCapture(pageUrl, capturedAt, entries, { keep = () => false, settings = null } = {}) {
+      const key = this.normalizePageUrl(pageUrl);
+      const hashed = await Promise.all(entries.map(async entry => ({ ...entry, hash: await this.hash(entry.content) })));
+      const previous = await this.getCapture(key);
+      const current = new Set(hashed.map(entry => entry.assetUrl));
+      const missing = previous ? previous.assets.filter(asset => !current.has(asset.assetUrl)) : [];
+      const kept = missing.filter(asset => keep(asset));
+
+      const db = await this.open();
+      const transaction = db.transaction(['captures', 'assets'], 'readwrite');
+      const assets = transaction.objectStore('assets');
+
+      missing
+        .filter(asset => !kept.includes(asset))
+        .forEach(asset => assets.delete([key, asset.assetUrl]));
+
+      hashed.forEach(entry => assets.put({ pageUrl: key, ...entry }));
+      transaction.objectStore('captures').put({
+        pageUrl: key,
+        capturedAt,
+        settings,
+        assets: [
+          ...hashed.map(({ assetUrl, filename, type, hash, library }) => ({ assetUrl, filename, type, hash, library: library || null })),
+          ...kept
+        ]
+      });
+
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+      return hashed;
+    },
+
+    // What stored content depends on, so later comparisons can normalize fresh content the same way
+    settingsOf(options) {
+      return { prettifyJs: Boolean(options.prettifyJs), profile: options.profile || null };
+    },
+
+    // Text that would be saved for an asset (beautified when prettify is on), without writing it
+    async contentFor(asset, options, capture) {
+      let content = asset.content || null;
+      if (content === null && asset.url) {
+        const response = await downloadManager.fetchExternalResponse(asset.url, capture.responses);
+        content = response ? response.text : null;
+      }
+      if (content !== null && options.prettifyJs) {
+        ({ content } = await beautifierWorkers.format(content, asset.type, options.profile));
+      }
+      return content;
+    },
+
+    // Compare freshly scanned assets against the last stored capture of the page, optionally storing them
+    // as the new capture afterwards. Only assets within scope(asset) are compared; stored ones outside it
+    // are left as they are when saving.
+    async compare(pageUrl, assets, options, { save = false, scope = () => true } = {}) {
+      const previous = await this.getCapture(pageUrl);
+      // Content is normalized the way the stored capture was, whatever the current profile is
+      if (previous && previous.settings) {
+        options = { ...options, ...previous.settings };
+      }
+      options = await downloadManager.withProfile(options);
+      const capture = downloadManager.createCapture(pageUrl, assets);
+      assets = (await downloadManager.discover(assets, options, capture)).filter(scope);
+      const previousAssets = new Map(previous ? previous.assets.filter(scope).map(asset => [asset.assetUrl, asset]) : []);
+      const result = {
+        pageUrl: this.normalizePageUrl(pageUrl),
+        previousCapturedAt: previous ? previous.capturedAt : null,
+        added: [],
+        removed: [],
+        changed: [],
+        unchanged: 0,
+        failed: []
+      };
+
+      const seen = new Set();
+      const entries = [];
+      for (const asset of assets) {
+        const assetUrl = this.assetKey(asset);
+        if (seen.has(assetUrl)) continue;
+        seen.add(assetUrl);
+
+        const content = await this.contentFor(asset, options, capture);
+        if (content === null) {
+          result.failed.push({ assetUrl, filename: asset.filename });
+          continue;
+        }
+        entries.push({ assetUrl, filename: asset.filename, type: asset.type, content });
+
+        const stored = previousAssets.get(assetUrl);
+        if (!stored) {
+          result.added.push({ assetUrl, filename: asset.filename, type: asset.type });
+          continue;
+        }
+
+        if (stored.hash === await this.hash(content)) {
+          result.unchanged++;
+          continue;
+        }
+
+        const old = await this.getAsset(pageUrl, assetUrl);
+        result.changed.push({
+          assetUrl,
+          filename: asset.filename,
+          type: asset.type,
+          diff: textDiff.unified(old ? old.content : '', content, `a/${asset.filename}`, `b/${asset.filename}`)
+        });
+      }
+
+      previousAssets.forEach((asset, assetUrl) => {
+        if (!seen.has(assetUrl)) {
+          result.removed.push({ assetUrl, filename: asset.filename, type: asset.type });
+        }
+      });
+
+      // Assets that couldn't be fetched this time keep their stored version
+      if (save) {
+        const failed = new Set(result.failed.map(asset => asset.assetUrl));
+        await this.saveCapture(pageUrl, capture.startedAt.toISOString(), entries, {
+          keep: asset => !scope(asset) || failed.has(asset.assetUrl),
+          settings: this.settingsOf(options)
+        });
+      }
+
+      return result;
+    }
+  };
+
+  // ES module graph - follows static imports, re-exports and import() through import maps
+  const moduleGraph = {
+    maxModules: 1000,
+    defaultDepth: 10,
+
+    patterns: [
+      // import x from "a", import {a as b} from "a", import * as ns from "a", import "a"
+      /(?:^|[^\w$.])import\s*(?:[\w$*{}\s,]+?\s*from\s*)?(["'])([^"'\n]+)\1/g,
+      // export * from "a", export {a, b as c} from "a"
+      /(?:^|[^\w$.])export\s*(?:\*(?:\s*as\s+[\w$]+)?|\{[^}]*\})\s*from\s*(["'])([^"'\n]+)\1/g,
+      // import("a") with a plain string literal
+      /(?:^|[^\w$.])import\s*\(\s*(["'`])([^"'`\n$]+)\1\s*[,)]/g
+    ],
+
+    // Drop comments so commented-out imports aren't followed; strings and regex literals are kept intact
+    stripComments(code) {
+      let result = '';
+      for (const token of deobfuscator.tokens(code)) {
+        result += token.type === 'comment' ? ' ' : token.text;
+      }
+      return result;
+    },
+
+    // Every module specifier in the source, without duplicates
+    findSpecifiers(source) {
+      const code = this.stripComments(source);
+      const specifiers = new Set();
+      this.patterns.forEach(pattern => {
+        for (const match of code.matchAll(pattern)) {
+          specifiers.add(match[2].trim());
+        }
+      });
+      // Stylesheets and JSON imported with import attributes aren't scripts
+      return [...specifiers].filter(specifier => !/\.(css|json)(\?|$)/i.test(specifier));
+    },
+
+    // Resolve a URL-like specifier per the HTML spec; bare specifiers return null
+    parseUrlLike(specifier, baseUrl) {
+      try {
+        if (/^(\/|\.\/|\.\.\/)/.test(specifier)) {
+          return new URL(specifier, baseUrl).href;
+        }
+        return new URL(specifier).href;
+      } catch {
+        return null;
+      }
+    },
+
+    // Merge import map assets, normalizing keys and addresses against their document
+    buildImportMap(assets) {
+      const importMap = { imports: {}, scopes: {} };
+      const normalize = (mapping, baseUrl) => {
+        const normalized = {};
+        Object.entries(mapping || {}).forEach(([key, address]) => {
+          const normalizedKey = this.parseUrlLike(key, baseUrl) || key;
+          const normalizedAddress = typeof address === 'string' ? this.parseUrlLike(address, baseUrl) : null;
+          if (normalizedAddress) {
+            normalized[normalizedKey] = normalizedAddress;
+          }
+        });
+        return normalized;
+      };
+
+      assets.filter(asset => asset.type === 'importmap').forEach(asset => {
+        try {
+          const parsed = JSON.parse(asset.content);
+          Object.assign(importMap.imports, normalize(parsed.imports, asset.baseUrl));
+          Object.entries(parsed.scopes || {}).forEach(([scope, mapping]) => {
+            const scopeUrl = this.parseUrlLike(scope, asset.baseUrl) || new URL(scope, asset.baseUrl).href;
+            importMap.scopes[scopeUrl] = { ...importMap.scopes[scopeUrl], ...normalize(mapping, asset.baseUrl) };
+          });
+        } catch (error) {
+          console.warn(`Ignoring invalid import map ${asset.filename}:`, error.message);
+        }
+      });
+
+      return importMap;
+    },
+
+    // Exact match first, then the longest "prefix/" key
+    applyMapping(specifier, mapping) {
+      if (mapping[specifier]) {
+        return mapping[specifier];
+      }
+      const prefix = Object.keys(mapping)
+        .filter(key => key.endsWith('/') && specifier.startsWith(key))
+        .sort((a, b) => b.length - a.length)[0];
+      return prefix ? mapping[prefix] + specifier.substring(prefix.length) : null;
+    },
+
+    resolve(specifier, baseUrl, importMap) {
+      const asUrl = this.parseUrlLike(specifier, baseUrl);
+      const key = asUrl || specifier;
+
+      // Scopes that contain the importing module win over top-level imports
+      const scopes = Object.keys(importMap.scopes)
+        .filter(scope => baseUrl.startsWith(scope))
+        .sort((a, b) => b.length - a.length);
+      for (const scope of scopes) {
+        const mapped = this.applyMapping(key, importMap.scopes[scope]);
+        if (mapped) return mapped;
+      }
+
+      return this.applyMapping(key, importMap.imports) || asUrl;
+    },
+
+    // Fetch the whole module graph, with cycle detection and a depth limit
+    async expand(assets, capture, maxDepth = this.defaultDepth) {
+      const importMap = this.buildImportMap(assets);
+      const visited = new Set(assets.map(asset => asset.url).filter(Boolean));
+      const discovered = [];
+      const queue = assets
+        .filter(asset => assetTypes.isScript(asset.type))
+        .map(asset => ({ asset, depth: 0 }));
+
+      while (queue.length > 0 && discovered.length < this.maxModules) {
+        const { asset, depth } = queue.shift();
+        if (depth >= maxDepth) continue;
+
+        let code = asset.content || null;
+        if (code === null && asset.url) {
+          const response = await downloadManager.fetchExternalResponse(asset.url, capture.responses);
+          code = response ? response.text : null;
+        }
+        if (code === null) continue;
+
+        const baseUrl = asset.url || asset.baseUrl || capture.pageUrl;
+        for (const specifier of this.findSpecifiers(code)) {
+          const url = this.resolve(specifier, baseUrl, importMap);
+          if (!url || !url.startsWith('http') || visited.has(url)) continue;
+          visited.add(url);
+
+          const module = {
+            url,
+            filename: paths.filenameFromUrl(url, '.js'),
+            type: 'external-js',
+            module: true,
+            discoveredFrom: asset.url || asset.filename
+          };
+          discovered.push(module);
+          queue.push({ asset: module, depth: depth + 1 });
+
+          if (discovered.length >= this.maxModules) break;
+        }
+      }
+
+      return discovered;
+    }
+  };
+
+  // Worker discovery - dedicated, shared and service worker scripts plus their importScripts()
+  const workerDiscovery = {
+    maxWorkers: 500,
+    maxDepth: 5,
+
+    constructors: [
+      { pattern: /new\s+(Worker|SharedWorker)\s*\(\s*new\s+URL\s*\(\s*(["'`])([^"'`\n]+)\2\s*,\s*import\.meta\.url/g, relativeToScript: true },
+      { pattern: /new\s+(Worker|SharedWorker)\s*\(\s*(["'`])([^"'`\n$]+)\2/g },
+      { pattern: /serviceWorker\s*\.\s*(register)\s*\(\s*new\s+URL\s*\(\s*(["'`])([^"'`\n]+)\2\s*,\s*import\.meta\.url/g, relativeToScript: true },
+      { pattern: /serviceWorker\s*\.\s*(register)\s*\(\s*(["'`])([^"'`\n$]+)\2/g }
+    ],
+
+    typeFor(constructorName) {
+      if (constructorName === 'SharedWorker') return 'shared-worker-js';
+      if (constructorName === 'register') return 'service-worker-js';
+      return 'worker-js';
+    },
+
+    // Worker URLs created by a page script; plain strings resolve against the document
+    findWorkers(code, scriptUrl, documentUrl) {
+      const workers = [];
+      this.constructors.forEach(({ pattern, relativeToScript }) => {
+        for (const match of code.matchAll(pattern)) {
+          try {
+            const url = new URL(match[3], relativeToScript ? scriptUrl : documentUrl).href;
+            workers.push({ url, type: this.typeFor(match[1]) });
+          } catch {
+            // Not a resolvable URL
+          }
+        }
+      });
+      return workers;
+    },
+
+    // importScripts('a.js', "b.js") inside worker code resolves against the worker's URL
+    findImportScripts(code, workerUrl) {
+      const urls = [];
+      for (const call of code.matchAll(/\bimportScripts\s*\(([^)]*)\)/g)) {
+        for (const literal of call[1].matchAll(/(["'`])([^"'`\n$]+)\1/g)) {
+          try {
+            urls.push(new URL(literal[2], workerUrl).href);
+          } catch {
+            // Not a resolvable URL
+          }
+        }
+      }
+      return urls;
+    },
+
+    async readContent(asset, capture) {
+      if (asset.content) return asset.content;
+      if (!asset.url) return null;
+      const response = await downloadManager.fetchExternalResponse(asset.url, capture.responses);
+      return response ? response.text : null;
+    },
+
+    async expand(assets, capture) {
+      const known = new Set(assets.map(asset => asset.url).filter(Boolean));
+      const discovered = [];
+      const isWorker = (asset) => /worker-js$/.test(asset.type);
+
+      const add = (url, type, from, depth) => {
+        if (!url.startsWith('http') || known.has(url) || discovered.length >= this.maxWorkers) return null;
+        known.add(url);
+        const asset = {
+          url,
+          filename: paths.filenameFromUrl(url, '.js'),
+          type,
+          discoveredFrom: from,
+          depth
+        };
+        discovered.push(asset);
+        return asset;
+      };
+
+      // Page scripts and HTML that may start workers
+      const queue = [];
+      for (const asset of assets) {
+        if (isWorker(asset)) {
+          queue.push({ asset, depth: 0 });
+          continue;
+        }
+        if (!assetTypes.isScript(asset.type) && asset.type !== 'html') continue;
+
+        const code = await this.readContent(asset, capture);
+        if (!code) continue;
+
+        const documentUrl = asset.baseUrl || capture.pageUrl || asset.url;
+        this.findWorkers(code, asset.url || documentUrl, documentUrl).forEach(({ url, type }) => {
+          const worker = add(url, type, asset.url || asset.filename, 0);
+          if (worker) queue.push({ asset: worker, depth: 0 });
+        });
+      }
+
+      // Worker code: nested workers and importScripts() chains
+      while (queue.length > 0) {
+        const { asset, depth } = queue.shift();
+        if (depth >= this.maxDepth) continue;
+
+        const code = await this.readContent(asset, capture);
+        if (!code) continue;
+
+        this.findImportScripts(code, asset.url).forEach(url => {
+          const imported = add(url, asset.type, asset.url, depth + 1);
+          if (imported) queue.push({ asset: imported, depth: depth + 1 });
+        });
+        this.findWorkers(code, asset.url, asset.url).forEach(({ url, type }) => {
+          const nested = add(url, type, asset.url, depth + 1);
+          if (nested) queue.push({ asset: nested, depth: depth + 1 });
+        });
+      }
+
+      return discovered;
+    }
+  };
+
+  // Stylesheet discovery - follows @import chains in external and inline CSS
+  const stylesheetDiscovery = {
+    maxStylesheets: 500,
+
+    findImports(css, baseUrl) {
+      const urls = [];
+      const code = css.replace(/\/\*[\s\S]*?\*\//g, '');
+      for (const match of code.matchAll(/@import\s+(?:url\(\s*)?(["']?)([^"')\s;]+)\1\s*\)?/gi)) {
+        try {
+          urls.push(new URL(match[2], baseUrl).href);
+        } catch {
+          // Not a resolvable URL
+        }
+      }
+      return urls;
+    },
+
+    async expand(assets, capture) {
+      const known = new Set(assets.map(asset => asset.url).filter(Boolean));
+      const discovered = [];
+      const queue = assets.filter(asset => assetTypes.isCss(asset.type));
+
+      while (queue.length > 0 && discovered.length < this.maxStylesheets) {
+        const asset = queue.shift();
+        let css = asset.content || null;
+        if (css === null && asset.url) {
+          const response = await downloadManager.fetchExternalResponse(asset.url, capture.responses);
+          css = response ? response.text : null;
+        }
+        if (css === null) continue;
+
+        // @import inside a stylesheet resolves against that stylesheet's URL
+        const baseUrl = asset.url || asset.baseUrl || capture.pageUrl;
+        this.findImports(css, baseUrl).forEach(url => {
+          if (!url.startsWith('http') || known.has(url)) return;
+          known.add(url);
+
+          const stylesheet = {
+            url,
+            filename: paths.filenameFromUrl(url, '.css'),
+            type: 'external-css',
+            discoveredFrom: asset.url || asset.filename
+          };
+          discovered.push(stylesheet);
+          queue.push(stylesheet);
+        });
+      }
+
+      return discovered;
+    }
+  };
+
+  // Minimal ZIP writer - stored or deflated entries with UTF-8 names, no external service
+  const zip = {
+    crcTable: null,
+
+    crc32(bytes) {
+      if (!this.crcTable) {
+        this.crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+          let c = n;
+          for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+          }
+          this.crcTable[n] = c >>> 0;
+        }
+      }
+
+      let crc = 0xffffffff;
+      for (let i = 0; i < bytes.length; i++) {
+        crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+      }
+      return (crc ^ 0xffffffff) >>> 0;
+    },
+
+    // Raw deflate via CompressionStream where the browser supports it
+    async deflate(bytes) {
+      if (typeof CompressionStream === 'undefined') {
+        return null;
+      }
+      try {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+      } catch (error) {
+        console.warn('Deflate unavailable, storing entries uncompressed:', error.message);
+        return null;
+      }
+    },
+
+    // Convert a Date into MS-DOS time and date fields
+    dosDateTime(date) {
+      return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+      };
+    },
+
+    // Build a complete archive from [{ path, data: Uint8Array }]
+    async build(entries, date = new Date()) {
+      if (entries.length > 0xffff) {
+        throw new Error('Too many files for a ZIP archive');
+      }
+
+      const encoder = new TextEncoder();
+      const { time, date: dosDate } = this.dosDateTime(date);
+      const chunks = [];
+      const central = [];
+      let offset = 0;
+
+      for (const entry of entries) {
+        const name = encoder.encode(entry.path);
+        const crc = this.crc32(entry.data);
+        const deflated = await this.deflate(entry.data);
+        const compressed = deflated && deflated.length < entry.data.length;
+        const body = compressed ? deflated : entry.data;
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 file names
+        local.setUint16(8, compressed ? 8 : 0, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, body.length, true);
+        local.setUint32(22, entry.data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 20, true);
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(10, compressed ? 8 : 0, true);
+        header.setUint16(12, time, true);
+        header.setUint16(14, dosDate, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, body.length, true);
+        header.setUint32(24, entry.data.length, true);
+        header.setUint16(28, name.length, true);
+        header.setUint32(42, offset, true);
+
+        chunks.push(new Uint8Array(local.buffer), name, body);
+        central.push(new Uint8Array(header.buffer), name);
+        offset += 30 + name.length + body.length;
+      }
+
+      const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+      if (offset + centralSize > 0xffffffff) {
+        throw new Error('Capture is too large for a ZIP archive');
+      }
+
+      const end = new DataView(new ArrayBuffer(22));
+      end.setUint32(0, 0x06054b50, true);
+      end.setUint16(8, entries.length, true);
+      end.setUint16(10, entries.length, true);
+      end.setUint32(12, centralSize, true);
+      end.setUint32(16, offset, true);
+
+      const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+      const archive = new Uint8Array(offset + centralSize + 22);
+      let position = 0;
+      for (const part of parts) {
+        archive.set(part, position);
+        position += part.length;
+      }
+      return archive;
+    }
+  };
+
+  // Output targets for a capture - loose files in evil-downloads/ or one ZIP archive
+  const writers = {
+    // Every file becomes its own download, below the capture's root folder
+    direct(capture) {
+      const prefix = capture && capture.root ? `${capture.root}/` : '';
+
+      return {
+        capture,
+
+        async writeText(path, content, mimeType = 'text/plain') {
+          const downloadId = await downloadManager.saveTextFile(prefix + path, content, mimeType);
+          return { path, downloadId };
+        },
+
+        async writeBytes(path, bytes, mimeType = 'application/octet-stream') {
+          const downloadId = await downloadManager.startDownload(downloadManager.createDownloadUrl(bytes, mimeType), prefix + path);
+          return { path, downloadId };
+        },
+
+        async writeUrl(path, url) {
+          const downloadId = await downloadManager.startDownload(url, prefix + path);
+          return { path, downloadId };
+        },
+
+        async finish() {
+          return null;
+        }
+      };
+    },
+
+    // Files are collected in memory and delivered as a single archive
+    archive(capture) {
+      const entries = [];
+      const usedPaths = new Set();
+      const encoder = new TextEncoder();
+
+      // Mirror the downloads API's 'uniquify' behaviour inside the archive
+      const uniquePath = (path) => {
+        let candidate = path;
+        for (let i = 1; usedPaths.has(candidate.toLowerCase()); i++) {
+          candidate = path.replace(/(\.[^./]*)?$/, ` (${i})$1`);
+        }
+        usedPaths.add(candidate.toLowerCase());
+        return candidate;
+      };
+
+      return {
+        capture,
+
+        async writeText(path, content) {
+          const entryPath = uniquePath(path);
+          entries.push({ path: entryPath, data: encoder.encode(content) });
+          return { path: entryPath };
+        },
+
+        async writeBytes(path, bytes) {
+          const entryPath = uniquePath(path);
+          entries.push({ path: entryPath, data: bytes });
+          return { path: entryPath };
+        },
+
+        async writeUrl(path, url) {
+          const response = await fetch(url);
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          }
+          const entryPath = uniquePath(path);
+          entries.push({ path: entryPath, data: new Uint8Array(await response.arrayBuffer()) });
+          return { path: entryPath };
+        },
+
+        // Download the archive
+        async finish() {
+          const archive = await zip.build(entries, capture.startedAt);
+          const url = downloadManager.createDownloadUrl(archive, 'application/zip');
+          const filename = `${paths.sanitizeSegment(capture.host)}_${capture.timestamp}.zip`;
+          const downloadId = await downloadManager.startDownload(url, filename);
+
+          console.log(`Archived ${entries.length} files into ${filename}`);
+          return { filename, downloadId, files: entries.length };
+        }
+      };
+    }
+  };
+
+  // Bounded-concurrency queue: tasks start in order as slots free up, with at most perHost of them
+  // talking to the same host; once cancelled, running tasks finish but no new ones start
+  const downloadQueue = {
+    run(tasks, { concurrency = 6, perHost = 2, isCancelled = () => false } = {}) {
+      const waiting = [...tasks];
+      const activeByHost = new Map();
+      let active = 0;
+
+      return new Promise(resolve => {
+        const next = () => {
+          if (isCancelled()) {
+            waiting.length = 0;
+          }
+          while (active < concurrency) {
+            // The first waiting task whose host still has a free slot; tasks without a host never wait
+            const position = waiting.findIndex(task => !task.host || (activeByHost.get(task.host) || 0) < perHost);
+            if (position === -1) break;
+            const [task] = waiting.splice(position, 1);
+
+            active++;
+            if (task.host) {
+              activeByHost.set(task.host, (activeByHost.get(task.host) || 0) + 1);
+            }
+            Promise.resolve()
+              .then(() => task.run())
+              .catch(error => console.warn('Queued task failed:', error))
+              .finally(() => {
+                active--;
+                if (task.host) {
+                  activeByHost.set(task.host, activeByHost.get(task.host) - 1);
+                }
+                next();
+              });
+          }
+          if (active === 0 && waiting.length === 0) {
+            resolve();
+          }
+        };
+        next();
+      });
+    },
+
+    // Host an asset is fetched from, if any
+    hostOf(asset) {
+      try {
+        return asset.url && !asset.content ? new URL(asset.url).host : null;
+      } catch {
+        return null;
+      }
+    }
+  };
+
+  // Download manager
+  const downloadManager = {
+    // Files downloaded at once, in total and from a single host
+    concurrency: 6,
+    perHostLimit: 2,
+    // Failed fetches are retried with exponential backoff: 500ms, 1s, 2s
+    retries: 3,
+    retryDelay: 500,
+
+    // Create a download URL for text or binary content (cross-browser compatible)
+    createDownloadUrl(content, mimeType = 'text/plain') {
+      try {
+        // Try to use Blob URLs first (preferred for Firefox)
+        const blob = new Blob([content], { type: mimeType });
+        return URL.createObjectURL(blob);
+      } catch (error) {
+        console.warn('Blob URL creation failed, falling back to data URL:', error);
+        // Fallback to data URL for Chrome/other browsers
+        if (typeof content !== 'string') {
+          return `data:${mimeType};base64,${this.bytesToBase64(content)}`;
+        }
+        const base64 = btoa(unescape(encodeURIComponent(content)));
+        return `data:${mimeType};base64,${base64}`;
+      }
+    },
+
+    // Base64-encode binary data in chunks to stay clear of argument limits
+    bytesToBase64(bytes) {
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      return btoa(binary);
+    },
+
+    // Describe a capture: the page it came from and when it started
+    createCapture(pageUrl, assets = []) {
+      const url = pageUrl || (assets.find(asset => asset.type === 'html') || {}).url || '';
+      let host = 'unknown_host';
+      try {
+        host = new URL(url).hostname || host;
+      } catch {
+        // Keep the placeholder host
+      }
+
+      const startedAt = new Date();
+      return {
+        pageUrl: url,
+        host,
+        startedAt,
+        // Responses fetched during the capture, shared by discovery and download
+        responses: new Map(),
+        // Text content of each asset as saved, kept for the capture history
+        snapshots: new Map(),
+        // Filesystem-safe local timestamp, e.g. 2024-05-01_13-37-00
+        timestamp: [
+          startedAt.getFullYear(),
+          String(startedAt.getMonth() + 1).padStart(2, '0'),
+          String(startedAt.getDate()).padStart(2, '0')
+        ].join('-') + '_' + [
+          startedAt.getHours(),
+          startedAt.getMinutes(),
+          startedAt.getSeconds()
+        ].map(part => String(part).padStart(2, '0')).join('-')
+      };
+    },
+
+    // Fetch external file content with its raw bytes, status and response headers, optionally through a capture's cache
+    async fetchExternalResponse(url, cache = null) {
+      if (cache) {
+        if (!cache.has(url)) {
+          cache.set(url, this.fetchExternalResponse(url));
+        }
+        return cache.get(url);
+      }
+
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const response = await fetch(url);
+          if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            // Rate limiting and server errors may pass, other statuses will not
+            error.retryable = response.status === 429 || response.status >= 500;
+            throw error;
+          }
+          // The raw bytes are kept for hashing and integrity checks. They are decoded the way text() would,
+          // once and only when the text is read, so files saved byte for byte never get a text copy
+          const bytes = new Uint8Array(await response.arrayBuffer());
+          let text = null;
+          return {
+            get text() {
+              if (text === null) {
+                text = new TextDecoder().decode(bytes);
+              }
+              return text;
+            },
+            bytes,
+            headers: response.headers,
+            status: response.status,
+            fetchedAt: new Date().toISOString()
+          };
+        } catch (error) {
+          // Network failures reject with a TypeError, but so do URLs blocked by CORS, the browser or
+          // another extension, which fail the same way every time: those get one more try, not the
+          // whole backoff spent holding a slot of their host
+          const retries = error.retryable ? this.retries : error.name === 'TypeError' ? 1 : 0;
+          if (attempt >= retries) {
+            console.warn(`Failed to fetch external content from ${url}:`, error.message);
+            return null;
+          }
+          await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** attempt));
+        }
+      }
+    },
+
+    // Fetch external file content
+    async fetchExternalContent(url) {
+      const response = await this.fetchExternalResponse(url);
+      return response ? response.text : null;
+    },
+
+    // Start a download into the evil-downloads subfolder and return its ID
+    async startDownload(url, relativePath) {
+      // Download to evil-downloads subfolder in Downloads directory
+      const filename = `evil-downloads/${relativePath}`;
+      
+      console.log('Downloading to:', filename);
+      
+      // Build download options with explicit settings to prevent dialog
+      const downloadOptions = {
+        url: url,
+        filename: filename,
+        saveAs: false, // Explicitly disable file dialog
+        conflictAction: 'uniquify' // Auto-rename if file exists
+      };
+      
+      // Remove undefined/null properties that might interfere
+      Object.keys(downloadOptions).forEach(key => {
+        if (downloadOptions[key] === undefined || downloadOptions[key] === null) {
+          delete downloadOptions[key];
+        }
+      });
+
+      console.log('Download options:', downloadOptions);
+      
+      const downloadId = await chrome.downloads.download(downloadOptions);
+      
+      console.log('Download started with ID:', downloadId);
+      
+      // Clean up blob URL if it was created (to prevent memory leaks)
+      if (url.startsWith('blob:')) {
+        setTimeout(() => {
+          try {
+            URL.revokeObjectURL(url);
+            console.log('Cleaned up blob URL');
+          } catch (error) {
+            console.warn('Failed to clean up blob URL:', error);
+          }
+        }, 5000); // Wait 5 seconds before cleanup
+      }
+      
+      // Wait a moment then check the actual download path
+      setTimeout(async () => {
+        try {
+          const items = await chrome.downloads.search({ id: downloadId });
+          if (items.length > 0) {
+            console.log('Actual download path:', items[0].filename);
+            console.log('Download state:', items[0].state);
+          }
+        } catch (error) {
+          console.warn('Could not check download path:', error);
+        }
+      }, 1000);
+
+      return downloadId;
+    },
+
+    // Save generated text content to the evil-downloads subfolder
+    async saveTextFile(relativePath, content, mimeType = 'text/plain') {
+      const url = this.createDownloadUrl(content, mimeType);
+      return this.startDownload(url, relativePath);
+    },
+
+    // Whether a fetched response is JSON, by content type or by parsing it
+    isJsonResponse(content, headers) {
+      const contentType = headers ? headers.get('Content-Type') || '' : '';
+      if (/[/+]json\b/i.test(contentType)) {
+        return true;
+      }
+      try {
+        JSON.parse(content);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    // Download a single file through the capture's writer
+    async downloadFile(asset, options = {}, writer = writers.direct(this.createCapture(asset.url))) {
+      try {
+        let content = null;
+        let headers = null;
+        let response = null;
+        let sources = 0;
+        const outputPath = paths.forAsset(asset, options, writer.capture);
+        const isScript = assetTypes.isScript(asset.type);
+
+        if (asset.content) {
+          // File has content already (inline scripts, styles, HTML)
+          content = asset.content;
+        } else if (asset.url) {
+          // External file - fetched here so the manifest can record its status, size and hash. It is
+          // read as text when it gets transformed, checked, fingerprinted or read by the recon report
+          // and history; anything else (e.g. WASM) is saved byte for byte
+          const isText = !assetTypes.isBinary(asset.type);
+          const needsText = isText && (
+            (options.prettifyJs && (isScript || assetTypes.isHtml(asset.type) || assetTypes.isCss(asset.type) || assetTypes.isJson(asset.type)))
+            || ((options.resolveSourceMaps || options.deobfuscate || options.fingerprintLibraries || options.skipLibraries) && isScript)
+            || ((options.reconReport || options.trackChanges) && (isScript || assetTypes.isHtml(asset.type)))
+            || asset.type === 'api-json'
+          );
+
+          response = await this.fetchExternalResponse(asset.url, writer.capture && writer.capture.responses);
+          if (response) {
+            headers = response.headers;
+            // Assets with an integrity attribute are read too, so the check also covers the decoded text
+            if (needsText || (asset.integrity && isText)) {
+              content = response.text;
+            }
+          } else if (asset.type === 'api-json') {
+            throw new Error('Could not fetch response');
+          }
+          // Otherwise fall back to a direct download if the fetch failed
+        } else {
+          throw new Error('Asset has no content or URL');
+        }
+
+        // Crawls reach the same file under several URLs (e.g. app.js?v=1 and app.js?v=2); only the first copy is kept
+        if (response && writer.capture && writer.capture.contentHashes) {
+          const hash = await provenance.sha256(response.bytes);
+          const first = writer.capture.contentHashes.get(hash);
+          if (first) {
+            return { success: true, skipped: true, reason: `Same content as ${first}`, filename: asset.filename, type: asset.type, url: asset.url };
+          }
+          writer.capture.contentHashes.set(hash, asset.url);
+        }
+
+        // Resource timing can't tell JSON APIs from other fetches, so check what came back
+        if (asset.type === 'api-json' && !this.isJsonResponse(content, headers)) {
+          return { success: true, skipped: true, reason: 'Not a JSON response', filename: asset.filename, type: asset.type, url: asset.url };
+        }
+
+        // Recognized third-party libraries are tagged with their known CVEs; only files that are nothing
+        // but the library are left out, bundles that merely contain one are kept
+        let library = null;
+        if (isScript && (options.fingerprintLibraries || options.skipLibraries)) {
+          library = await libraryScanner.identify(asset, content);
+          if (library && library.standalone && options.skipLibraries) {
+            const reason = `Vendor library ${library.name} ${library.version}`;
+            return { success: true, skipped: true, reason, filename: asset.filename, type: asset.type, url: asset.url, library };
+          }
+        }
+
+        // Inline scripts can carry an inline data: source map, fetched ones a header or comment
+        if (content !== null && options.resolveSourceMaps && isScript) {
+          sources = await sourceMaps.restoreSources(content, headers, asset, writer, outputPath);
+        }
+
+        // Deobfuscated scripts are saved next to the original so the result can be checked against it
+        let deobfuscated = null;
+        if (content !== null && options.deobfuscate && isScript) {
+          const result = deobfuscator.run(content);
+          if (result.changed) {
+            const code = options.prettifyJs ? (await beautifierWorkers.format(result.code, asset.type, options.profile)).content : result.code;
+            const written = await writer.writeText(paths.withSuffix(outputPath, '.deobfuscated'), code, this.getMimeType(asset.type));
+            deobfuscated = { filename: written.path, ...result.stats };
+          }
+        }
+
+        // What the file was before beautification, for the manifest
+        const original = response ? response.bytes : content !== null ? new TextEncoder().encode(content) : null;
+        const integrity = original && asset.integrity ? await provenance.checkIntegrity(asset.integrity, original) : null;
+        if (integrity && integrity.matched === false) {
+          console.warn(`${asset.url}: content does not match its integrity attribute ${asset.integrity}`);
+        }
+
+        // Beautify scripts, pages, stylesheets and JSON; over budget, the file is saved as received
+        let note = null;
+        if (content !== null && options.prettifyJs) {
+          ({ content, note } = await beautifierWorkers.format(content, asset.type, options.profile));
+          if (note) {
+            console.warn(`${asset.filename}: ${note}`);
+          }
+        }
+
+        if (content !== null && writer.capture && (isScript || assetTypes.isHtml(asset.type))) {
+          writer.capture.snapshots.set(captureStore.assetKey(asset), { filename: asset.filename, type: asset.type, content, library });
+        }
+
+        // Beautified files point back to their origin; added after the snapshot so captures stay comparable
+        const capturedAt = (response && response.fetchedAt) || new Date().toISOString();
+        const pageUrl = asset.frame ? asset.frame.url : writer.capture && writer.capture.pageUrl;
+        const beautified = content !== null && options.prettifyJs && !note && Boolean(beautifierWorkers.kindOf(asset.type));
+        if (beautified) {
+          content = provenance.header(beautifierWorkers.kindOf(asset.type), { sourceUrl: asset.url, pageUrl, capturedAt }) + content;
+        }
+
+        const written = content !== null
+          ? await writer.writeText(outputPath, content, this.getMimeType(asset.type))
+          : response
+            ? await writer.writeBytes(outputPath, response.bytes, this.getMimeType(asset.type))
+            : await writer.writeUrl(outputPath, asset.url);
+        
+        return {
+          success: true,
+          downloadId: written.downloadId,
+          filename: written.path,
+          type: asset.type,
+          url: asset.url,
+          sources,
+          deobfuscated,
+          library,
+          note,
+          provenance: {
+            pageUrl: pageUrl || null,
+            status: response ? response.status : null,
+            size: original ? original.length : null,
+            sha256: original ? await provenance.sha256(original) : null,
+            savedSha256: content !== null ? await provenance.sha256(new TextEncoder().encode(content)) : original ? await provenance.sha256(original) : null,
+            headers: response ? provenance.pickHeaders(response.headers) : null,
+            capturedAt,
+            beautified,
+            ...(integrity ? { integrity } : {})
+          }
+        };
+      } catch (error) {
+        console.error('Download failed:', error);
+        return { success: false, error: error.message, filename: asset.filename, type: asset.type, url: asset.url };
+      } finally {
+        // The capture only needs a response until its file is written
+        if (asset.url && writer.capture) {
+          writer.capture.responses.delete(asset.url);
+        }
+      }
+    },
+
+    // Attach the active beautifier profile unless the caller picked one
+    async withProfile(options = {}) {
+      if (options.profile) {
+        return options;
+      }
+      try {
+        return { ...options, profile: await extensionSettings.getActiveProfile() };
+      } catch (error) {
+        console.warn('Could not load beautifier profile:', error);
+        return options;
+      }
+    },
+
+    // Download multiple files, either loose into evil-downloads/ or as one archive.
+    // A job, when given, receives progress and can cancel the capture and resume it later.
+    async downloadFiles(assets, options = {}, capture = this.createCapture(null, assets), job = null) {
+      if (assets.length === 0) {
+        return { results: [], archive: null };
+      }
+      options = await this.withProfile(options);
+      const notify = (message) => job && job.emit({ type: 'phase', message });
+
+      // Mirrored captures, and each tab of a window capture, get their own <page-host>/<timestamp> folder;
+      // archives are already named that way
+      if ((options.layout === 'mirror' || options.groupByHost) && !options.archive) {
+        capture.root = `${paths.sanitizeSegment(capture.host)}/${capture.timestamp}`;
+      }
+
+      let writer = options.archive ? writers.archive(capture) : writers.direct(capture);
+
+      // The recon report reads every text file on its way out, including restored sources
+      const report = options.reconReport ? recon.createReport(capture) : null;
+      if (report) {
+        writer = report.watch(writer);
+      }
+
+      assets = await this.discover(assets, options, capture, notify);
+      const run = { assets, options, capture, writer, report, results: new Array(assets.length) };
+      return this.runDownloads(run, job);
+    },
+
+    // Add the assets the enabled options discover from the scanned ones: imported modules, lazy
+    // chunks, imported stylesheets and workers
+    async discover(assets, options, capture, notify = () => {}) {
+      // Modules imported by the page's scripts, followed through the whole graph
+      if (options.followModules) {
+        notify('Following module imports…');
+        const modules = await moduleGraph.expand(assets, capture, options.moduleDepth);
+        console.log(`Discovered ${modules.length} imported modules`);
+        assets = [...assets, ...modules];
+      }
+
+      // Lazy chunks referenced by bundler runtimes join the capture as regular scripts
+      if (options.includeChunks) {
+        notify('Looking for lazy chunks…');
+        const chunks = await chunkDiscovery.expand(assets, capture);
+        console.log(`Discovered ${chunks.length} lazy chunks`);
+        assets = [...assets, ...chunks];
+      }
+
+      // Stylesheets pulled in through @import chains
+      if (options.includeCss) {
+        notify('Following stylesheet imports…');
+        const imports = await stylesheetDiscovery.expand(assets, capture);
+        console.log(`Discovered ${imports.length} imported stylesheets`);
+        assets = [...assets, ...imports];
+      }
+
+      // Worker scripts started anywhere in the code collected so far
+      if (options.includeWorkers) {
+        notify('Looking for worker scripts…');
+        const workers = await workerDiscovery.expand(assets, capture);
+        console.log(`Discovered ${workers.length} worker scripts`);
+        assets = [...assets, ...workers];
+      }
+      return assets;
+    },
+
+    // Download the assets of a capture that have no result yet, then write its reports.
+    // Returns { cancelled: true } instead when the job was cancelled before every asset was done.
+    async runDownloads(run, job = null) {
+      const { assets, options, capture, writer, report, results } = run;
+      if (job) {
+        job.run = run;
+      }
+
+      const tasks = assets
+        .map((asset, index) => ({ asset, index }))
+        .filter(({ index }) => !results[index])
+        .map(({ asset, index }) => ({
+          host: downloadQueue.hostOf(asset),
+          run: async () => {
+            const result = await this.downloadFile(asset, options, writer);
+            results[index] = result;
+            if (job) {
+              job.progress(result);
+            }
+          }
+        }));
+      await downloadQueue.run(tasks, {
+        concurrency: this.concurrency,
+        perHost: this.perHostLimit,
+        isCancelled: () => Boolean(job && job.cancelled)
+      });
+
+      if (results.includes(undefined)) {
+        return { cancelled: true, results: results.filter(Boolean) };
+      }
+
+      const reconSummary = report ? await report.write(writer) : null;
+      const librarySummary = options.fingerprintLibraries || options.skipLibraries
+        ? await libraryScanner.write(writer, results, capture.pageUrl)
+        : null;
+      const integritySummary = await provenance.write(writer, capture, results, options);
+
+      // Remember what was captured so the next capture can be compared against it. Assets that failed
+      // or were skipped keep their stored version, and so does everything a partial download left out
+      if (options.trackChanges && capture.pageUrl) {
+        try {
+          const entries = [...capture.snapshots].map(([assetUrl, snapshot]) => ({ assetUrl, ...snapshot }));
+          const attempted = new Set(assets.map(asset => captureStore.assetKey(asset)));
+          await captureStore.saveCapture(capture.pageUrl, capture.startedAt.toISOString(), entries, {
+            keep: asset => Boolean(options.partial) || attempted.has(asset.assetUrl),
+            settings: captureStore.settingsOf(options)
+          });
+        } catch (error) {
+          console.warn('Failed to store capture history:', error);
+        }
+      }
+
+      const archive = await writer.finish();
+      
+      return { results, archive, recon: reconSummary, libraries: librarySummary, integrity: integritySummary };
+    },
+
+    // Counts shown once a capture is done
+    summarize({ results, recon: reconSummary, libraries: librarySummary, integrity: integritySummary }) {
+      return {
+        total: results.length,
+        successful: results.filter(r => r.success && !r.skipped).length,
+        skipped: results.filter(r => r.skipped).length,
+        failed: results.filter(r => !r.success).length,
+        sources: results.reduce((sum, r) => sum + (r.sources || 0), 0),
+        findings: reconSummary ? reconSummary.findings : 0,
+        deobfuscated: results.filter(r => r.deobfuscated).length,
+        unformatted: results.filter(r => r.note).length,
+        libraries: librarySummary ? librarySummary.libraries : 0,
+        vulnerable: librarySummary ? librarySummary.vulnerable : 0,
+        integrityFailed: integritySummary ? integritySummary.integrityFailed : 0
+      };
+    },
+
+    // Get MIME type for different asset types
+    getMimeType(type) {
+      switch (type) {
+        case 'html':
+        case 'iframe-html':
+        case 'runtime-html':
+          return 'text/html';
+        case 'external-js':
+        case 'inline-js':
+        case 'worker-js':
+        case 'shared-worker-js':
+        case 'service-worker-js':
+        case 'runtime-js':
+          return 'application/javascript';
+        case 'importmap':
+          return 'application/importmap+json';
+        case 'external-css':
+        case 'inline-css':
+          return 'text/css';
+        case 'external-json':
+        case 'inline-json':
+        case 'api-json':
+          return 'application/json';
+        case 'wasm':
+          return 'application/wasm';
+        case 'har':
+          return 'application/json';
+        default:
+          return 'text/plain';
+      }
     }
-  }
-  
-  // Firefox fallback: dynamically load js-beautify
-  if (!jsBeautifyLoaded) {
-    console.log('Loading js-beautify dynamically for Firefox...');
-    fetch(chrome.runtime.getURL('js-beautify.min.js'))
-      .then(response => response.text())
-      .then(code => {
-        // Execute the js-beautify code in global scope
-        eval(code);
-        jsBeautifyLoaded = true;
-        console.log('js-beautify loaded dynamically');
-      })
-      .catch(error => {
-        console.warn('Failed to load js-beautify dynamically:', error);
+  };
+
+  // Recording sessions - every script a tab loads while recording is enabled for it
+  const recorder = {
+    memory: new Map(),
+    queue: Promise.resolve(),
+    // Tabs with a running session, kept in memory so the webRequest listener only exists while
+    // something is being recorded and never has to read storage to find out
+    recordingTabs: new Set(),
+
+    // Sessions live in storage.session where available so they survive worker restarts. Its quota is
+    // small, so sessions only list URLs and hashes; the inline scripts themselves go to IndexedDB.
+    storageKey(tabId) {
+      return `recording:${tabId}`;
+    },
+
+    async storeContents(tabId, resources) {
+      const db = await captureStore.open();
+      const transaction = db.transaction('recorded', 'readwrite');
+      resources.forEach(({ hash, content }) => transaction.objectStore('recorded').put({ tabId, hash, content }));
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
       });
-  }
+    },
+
+    async loadContent(tabId, hash) {
+      const db = await captureStore.open();
+      const entry = await captureStore.settle(db.transaction('recorded').objectStore('recorded').get([tabId, hash]));
+      return entry ? entry.content : null;
+    },
+
+    // Drop the stored scripts of one tab, or of every tab
+    async clearContents(tabId = null) {
+      const db = await captureStore.open();
+      const store = db.transaction('recorded', 'readwrite').objectStore('recorded');
+      await captureStore.settle(tabId === null ? store.clear() : store.delete(IDBKeyRange.bound([tabId, ''], [tabId, '\uffff'])));
+    },
+
+    async load(tabId) {
+      const key = this.storageKey(tabId);
+      if (chrome.storage.session) {
+        const items = await chrome.storage.session.get(key);
+        return items[key] || null;
+      }
+      return this.memory.get(key) || null;
+    },
+
+    async save(tabId, session) {
+      const key = this.storageKey(tabId);
+      if (chrome.storage.session) {
+        if (session) {
+          await chrome.storage.session.set({ [key]: session });
+        } else {
+          await chrome.storage.session.remove(key);
+        }
+      } else if (session) {
+        this.memory.set(key, session);
+      } else {
+        this.memory.delete(key);
+      }
+      if (!session) {
+        await this.clearContents(tabId);
+      }
+      if (session && session.recording) {
+        this.recordingTabs.add(tabId);
+      } else {
+        this.recordingTabs.delete(tabId);
+      }
+      this.watchRequests();
+    },
+
+    // Sessions that were running when the worker last stopped
+    async restoreRecordingTabs() {
+      const items = chrome.storage.session ? await chrome.storage.session.get(null) : Object.fromEntries(this.memory);
+      const prefix = this.storageKey('');
+      Object.entries(items)
+        .filter(([key, session]) => key.startsWith(prefix) && session && session.recording)
+        .forEach(([key]) => this.recordingTabs.add(Number(key.substring(prefix.length))));
+      this.watchRequests();
+    },
+
+    // Network-level view of scripts loaded by recording tabs (catches workers and import() too)
+    onScriptCompleted(details) {
+      if (details.statusCode >= 400 || !recorder.recordingTabs.has(details.tabId)) return;
+      recorder.add(details.tabId, [{ url: details.url }], 'webRequest');
+    },
+
+    watchRequests() {
+      if (!chrome.webRequest) {
+        return;
+      }
+      const listening = chrome.webRequest.onCompleted.hasListener(this.onScriptCompleted);
+      if (this.recordingTabs.size > 0 && !listening) {
+        chrome.webRequest.onCompleted.addListener(this.onScriptCompleted, { urls: ['<all_urls>'], types: ['script'] });
+      } else if (this.recordingTabs.size === 0 && listening) {
+        chrome.webRequest.onCompleted.removeListener(this.onScriptCompleted);
+      }
+    },
+
+    // Serialize read-modify-write cycles so concurrent reports don't drop entries
+    update(tabId, change) {
+      this.queue = this.queue
+        .then(async () => {
+          const session = await this.load(tabId);
+          const updated = await change(session);
+          if (updated !== undefined) {
+            await this.save(tabId, updated);
+          }
+          return updated === undefined ? session : updated;
+        })
+        .catch(error => {
+          console.warn('Recording update failed:', error);
+          return null;
+        });
+      return this.queue;
+    },
+
+    async start(tabId, pageUrl) {
+      await this.update(tabId, session => session && session.recording
+        ? session
+        : {
+          recording: true,
+          pageUrl,
+          startedAt: new Date().toISOString(),
+          resources: (session && session.resources) || []
+        });
+
+      // The content script begins observing the DOM and resource timing of the current document
+      try {
+        await chrome.tabs.sendMessage(tabId, { action: 'startRecording' });
+      } catch (error) {
+        console.warn('Content script not reachable, relying on webRequest only:', error.message);
+      }
+    },
+
+    async stop(tabId) {
+      await this.update(tabId, session => session ? { ...session, recording: false } : null);
+      try {
+        await chrome.tabs.sendMessage(tabId, { action: 'stopRecording' });
+      } catch {
+        // Tab may have navigated away or closed
+      }
+    },
+
+    async isRecording(tabId) {
+      await this.queue;
+      const session = await this.load(tabId);
+      return Boolean(session && session.recording);
+    },
+
+    // Merge newly seen resources ({ url } or { content }) into the tab's session; inline content is
+    // kept by hash
+    async add(tabId, resources, via) {
+      const entries = await Promise.all(resources.map(async resource => resource.url
+        ? { url: resource.url }
+        : { hash: resource.content ? await captureStore.hash(resource.content) : null, content: resource.content }));
+
+      return this.update(tabId, async session => {
+        if (!session || !session.recording) {
+          return undefined;
+        }
+
+        const known = new Set(session.resources.map(resource => resource.url || resource.hash));
+        const added = entries.filter(entry => {
+          const key = entry.url || entry.hash;
+          if (!key || known.has(key)) return false;
+          known.add(key);
+          return true;
+        });
+
+        if (added.length === 0) {
+          return undefined;
+        }
+
+        await this.storeContents(tabId, added.filter(entry => entry.hash));
+        const seenAt = new Date().toISOString();
+        return {
+          ...session,
+          resources: [...session.resources, ...added.map(entry => ({ ...(entry.url ? { url: entry.url } : { hash: entry.hash }), via, seenAt }))]
+        };
+      });
+    },
+
+    // Convert the session into assets for the normal download pipeline
+    async getAssets(tabId) {
+      await this.queue;
+      const session = await this.load(tabId);
+      if (!session) {
+        return [];
+      }
+
+      let inlineIndex = 0;
+      const assets = await Promise.all(session.resources.map(async resource => {
+        if (resource.url) {
+          return {
+            url: resource.url,
+            filename: paths.filenameFromUrl(resource.url, '.js'),
+            type: 'external-js'
+          };
+        }
+        const filename = `recorded_inline_script_${++inlineIndex}.js`;
+        return { content: await this.loadContent(tabId, resource.hash), filename, type: 'inline-js' };
+      }));
+      return assets.filter(asset => asset.url || asset.content);
+    },
+
+    async getStatus(tabId) {
+      await this.queue;
+      const session = await this.load(tabId);
+      return {
+        recording: Boolean(session && session.recording),
+        count: session ? session.resources.length : 0,
+        startedAt: session ? session.startedAt : null
+      };
+    }
+  };
+
+  // Tab scanning from the background - runs the content script's scanAssets flow
+  const tabScanner = {
+    loadTimeout: 45000,
+
+    // Resolve once the tab has finished loading
+    waitForLoad(tabId) {
+      return new Promise((resolve, reject) => {
+        const cleanup = () => {
+          clearTimeout(timer);
+          chrome.tabs.onUpdated.removeListener(listener);
+        };
+        const listener = (updatedId, info) => {
+          if (updatedId === tabId && info.status === 'complete') {
+            cleanup();
+            resolve();
+          }
+        };
+        const timer = setTimeout(() => {
+          cleanup();
+          reject(new Error('Timed out waiting for the page to load'));
+        }, this.loadTimeout);
+
+        chrome.tabs.onUpdated.addListener(listener);
+        chrome.tabs.get(tabId).then(tab => {
+          if (tab.status === 'complete') {
+            cleanup();
+            resolve();
+          }
+        }).catch(() => {});
+      });
+    },
+
+    // The content script runs at document_idle, so retry briefly after load
+    async scanTab(tabId, options = {}) {
+      let lastError = null;
+      for (let attempt = 0; attempt < 10; attempt++) {
+        try {
+          return await this.scanFrames(tabId, options);
+        } catch (error) {
+          lastError = error;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+      throw lastError;
+    },
+
+    // Every frame reports its own document and scripts; the results are merged into one capture
+    // whose folders follow the frame hierarchy
+    async scanFrames(tabId, options = {}) {
+      let frames = null;
+      try {
+        frames = await chrome.webNavigation.getAllFrames({ tabId });
+      } catch (error) {
+        console.warn('Could not list frames, scanning the top frame only:', error.message);
+      }
+      if (!frames || frames.length === 0) {
+        frames = [{ frameId: 0, parentFrameId: -1, url: null }];
+      }
+
+      const scans = new Map();
+      await Promise.all(frames.map(async frame => {
+        const assets = await this.scanFrame(tabId, frame.frameId, options);
+        if (assets) {
+          scans.set(frame.frameId, assets);
+        }
+      }));
+
+      if (!scans.has(0)) {
+        throw new Error('Could not scan the page');
+      }
+      return this.mergeFrames(frames, scans);
+    },
+
+    // Frames the manifest's content script missed (e.g. about:blank frames written by script) get it injected
+    async scanFrame(tabId, frameId, options) {
+      const scan = () => chrome.tabs.sendMessage(tabId, { action: 'scanAssets', options }, { frameId });
+      let response = await scan().catch(() => null);
+
+      if (!response && frameId !== 0 && chrome.scripting) {
+        try {
+          await chrome.scripting.executeScript({ target: { tabId, frameIds: [frameId] }, files: ['content.js'] });
+          response = await scan();
+        } catch (error) {
+          console.warn(`Could not scan frame ${frameId}:`, error.message);
+        }
+      }
+      return response && response.success ? response.assets : null;
+    },
+
+    // Subframe assets are tagged with their frame and placed under frame_<n>/frame_<n>/..., where n is the
+    // frame's position among its siblings: frame IDs change on every load, positions don't, so repeated
+    // captures of the same page keep the same paths for compare and the monitor
+    mergeFrames(frames, scans) {
+      const byId = new Map(frames.map(frame => [frame.frameId, frame]));
+      const ancestry = (frameId) => {
+        const chain = [];
+        for (let frame = byId.get(frameId); frame && frame.frameId !== 0 && chain.length < 32; frame = byId.get(frame.parentFrameId)) {
+          chain.unshift(frame.frameId);
+        }
+        return chain;
+      };
+
+      // IDs are handed out as frames are created, so sorting siblings by ID follows document order
+      const positions = new Map();
+      frames.forEach(frame => {
+        const before = frames.filter(other => other.parentFrameId === frame.parentFrameId && other.frameId < frame.frameId);
+        positions.set(frame.frameId, before.length + 1);
+      });
+
+      // Frames that reported themselves replace the parent's re-fetch of their URL
+      const scannedUrls = new Set(frames.filter(frame => frame.frameId !== 0 && scans.has(frame.frameId)).map(frame => frame.url));
+      const seen = new Set();
+      const merged = [];
+
+      // Outer frames first, so a script shared with a subframe is kept once, in the outermost frame
+      const order = [...scans.keys()].sort((a, b) => ancestry(a).length - ancestry(b).length || a - b);
+      order.forEach(frameId => {
+        const frame = byId.get(frameId);
+        const path = ancestry(frameId).map(id => `frame_${positions.get(id)}`).join('/');
+
+        scans.get(frameId).forEach(asset => {
+          if (asset.type === 'iframe-html' && !asset.content && scannedUrls.has(asset.url)) return;
+          if (asset.url && !asset.content) {
+            if (seen.has(asset.url)) return;
+            seen.add(asset.url);
+          }
+
+          if (frameId === 0) {
+            merged.push(asset);
+            return;
+          }
+          merged.push({
+            ...asset,
+            type: asset.type === 'html' ? 'iframe-html' : asset.type,
+            frame: { id: frameId, parentId: frame.parentFrameId, url: frame.url, path }
+          });
+        });
+      });
+      return merged;
+    },
+
+    // Open a URL in a background tab, scan it and close the tab again
+    async scanUrl(url, options = {}) {
+      const tab = await chrome.tabs.create({ url, active: false });
+      try {
+        await this.waitForLoad(tab.id);
+        return await this.scanTab(tab.id, options);
+      } finally {
+        chrome.tabs.remove(tab.id).catch(() => {});
+      }
+    }
+  };
+
+  // Same-origin crawl: breadth-first over <a href> links from the current page. The first page is the
+  // user's own tab; every other one is loaded in a background tab and scanned the same way, and all
+  // assets end up in one capture, de-duplicated by URL and, for inline code, by content hash. Fetched files
+  // whose URLs differ but whose content doesn't are dropped when they are downloaded.
+  const crawler = {
+    // Links to files rather than pages
+    skippedExtensions: /\.(pdf|zip|gz|tgz|rar|7z|dmg|exe|msi|apk|png|jpe?g|gif|webp|avif|svg|ico|bmp|mp[34]|m4a|webm|ogg|wav|mov|avi|woff2?|ttf|otf|eot|css|m?js|json|xml|rss|txt|csv|wasm)$/i,
+
+    // Globs over the full URL, * matching anything
+    toPattern(glob) {
+      return new RegExp('^' + glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i');
+    },
+
+    // Include patterns (when there are any) must match, exclude patterns must not
+    isAllowed(url, settings) {
+      const include = (settings.include || []).map(glob => this.toPattern(glob));
+      const exclude = (settings.exclude || []).map(glob => this.toPattern(glob));
+      return (include.length === 0 || include.some(pattern => pattern.test(url)))
+        && !exclude.some(pattern => pattern.test(url));
+    },
+
+    normalize(url) {
+      const urlObj = new URL(url);
+      urlObj.hash = '';
+      return urlObj.href;
+    },
+
+    // Folder for a crawled page's own files in the flat layout, e.g. pages/docs_getting-started
+    pagePath(url) {
+      const urlObj = new URL(url);
+      const name = urlObj.pathname.split('/').filter(Boolean).join('_') || 'index';
+      const query = urlObj.search.substring(1);
+      return `pages/${paths.sanitizeSegment(name + (query ? '@' + paths.hash(query) : ''))}`;
+    },
+
+    async getLinks(tabId) {
+      try {
+        const response = await chrome.tabs.sendMessage(tabId, { action: 'getLinks' }, { frameId: 0 });
+        return response && response.success ? response.links : [];
+      } catch (error) {
+        console.warn('Could not read links:', error.message);
+        return [];
+      }
+    },
+
+    // Load a page in a background tab, scan it and read its links; redirects show in the final URL
+    async visit(url, options) {
+      const tab = await chrome.tabs.create({ url, active: false });
+      try {
+        await tabScanner.waitForLoad(tab.id);
+        const assets = await tabScanner.scanTab(tab.id, options);
+        const links = await this.getLinks(tab.id);
+        const loaded = await chrome.tabs.get(tab.id);
+        return { url: loaded.url || url, assets, links };
+      } finally {
+        chrome.tabs.remove(tab.id).catch(() => {});
+      }
+    },
+
+    async crawl(tab, settings, options, job = null) {
+      settings = { ...extensionSettings.crawlDefaults, ...settings };
+      const origin = new URL(tab.url).origin;
+      const start = this.normalize(tab.url);
+      const queue = [{ url: start, depth: 0 }];
+      const queued = new Set([start]);
+      const assets = [];
+      const assetUrls = new Set();
+      const contentHashes = new Set();
+      const pages = [];
+
+      while (queue.length > 0 && pages.length < settings.maxPages && !(job && job.cancelled)) {
+        const { url, depth } = queue.shift();
+        if (job) {
+          job.emit({ type: 'phase', message: `Crawling page ${pages.length + 1}/${settings.maxPages}: ${url}` });
+        }
+
+        let page;
+        try {
+          page = url === start
+            ? { url, assets: await tabScanner.scanTab(tab.id, options), links: await this.getLinks(tab.id) }
+            : await this.visit(url, options);
+        } catch (error) {
+          console.warn(`Crawl could not scan ${url}:`, error.message);
+          pages.push({ url, depth, error: error.message });
+          continue;
+        }
+        // A redirect may have left the site
+        if (new URL(page.url).origin !== origin) {
+          pages.push({ url, depth, error: `Redirected off-site to ${page.url}` });
+          continue;
+        }
+
+        const pageInfo = pages.length === 0 ? null : { url: page.url, path: this.pagePath(page.url) };
+        let added = 0;
+        for (const asset of page.assets) {
+          // Documents always belong to their page; shared scripts and styles are kept once
+          const isPageDocument = asset.type === 'html';
+          if (asset.url && !asset.content) {
+            if (assetUrls.has(asset.url)) continue;
+            assetUrls.add(asset.url);
+          } else if (!isPageDocument && asset.content) {
+            const hash = await captureStore.hash(asset.content);
+            if (contentHashes.has(hash)) continue;
+            contentHashes.add(hash);
+          }
+          assets.push(pageInfo && (isPageDocument || !asset.url) ? { ...asset, page: pageInfo } : asset);
+          added++;
+        }
+        pages.push({ url: page.url, depth, assets: added });
+
+        if (depth >= settings.maxDepth) continue;
+        for (const link of page.links) {
+          let next;
+          try {
+            next = this.normalize(link);
+          } catch {
+            continue;
+          }
+          const nextUrl = new URL(next);
+          if (nextUrl.origin !== origin || queued.has(next) || this.skippedExtensions.test(nextUrl.pathname)) continue;
+          if (!this.isAllowed(next, settings)) continue;
+          queued.add(next);
+          queue.push({ url: next, depth: depth + 1 });
+        }
+      }
 
-  // JS Beautifier wrapper using the imported library
-  const jsBeautify = {
-    // Check if js_beautify is available
-    isAvailable() {
-      return typeof js_beautify !== 'undefined' && jsBeautifyLoaded;
-    },
+      console.log(`Crawled ${pages.length} pages, ${assets.length} assets`);
+      return { assets, pages };
+    }
+  };
 
-    // Basic fallback beautifier for cross-browser compatibility
-    basicBeautify(code) {
-      try {
-        // Basic prettification - add proper indentation and line breaks
-        let formatted = code
-          // Add line breaks after semicolons and braces
-          .replace(/;/g, ';\n')
-          .replace(/\{/g, '{\n')
-          .replace(/\}/g, '\n}\n')
-          // Add line breaks after commas in function parameters and arrays
-          .replace(/,(\s*[a-zA-Z_$])/g, ',\n$1')
-          // Clean up multiple newlines
-          .replace(/\n\s*\n/g, '\n')
-          .replace(/\n{3,}/g, '\n\n');
+  // Scheduled monitoring of watched URLs with change notifications
+  const monitor = {
+    maxLogEntries: 200,
 
-        // Add basic indentation
-        const lines = formatted.split('\n');
-        let indentLevel = 0;
-        const indentString = '  '; // 2 spaces
+    alarmName(url) {
+      return `watch:${url}`;
+    },
 
-        const indentedLines = lines.map(line => {
-          const trimmed = line.trim();
-          if (!trimmed) return '';
+    async getWatchList() {
+      const { watchList } = await chrome.storage.local.get({ watchList: [] });
+      return watchList;
+    },
 
-          // Decrease indent for closing braces
-          if (trimmed.includes('}')) {
-            indentLevel = Math.max(0, indentLevel - 1);
-          }
+    async getChangeLog() {
+      const { changeLog } = await chrome.storage.local.get({ changeLog: [] });
+      return changeLog;
+    },
 
-          const indentedLine = indentString.repeat(indentLevel) + trimmed;
+    async watch(url, intervalMinutes = 60) {
+      const pageUrl = captureStore.normalizePageUrl(url);
+      const watchList = (await this.getWatchList()).filter(entry => entry.url !== pageUrl);
+      watchList.push({ url: pageUrl, intervalMinutes, addedAt: new Date().toISOString(), lastCheckedAt: null });
+      await chrome.storage.local.set({ watchList });
 
-          // Increase indent for opening braces
-          if (trimmed.includes('{')) {
-            indentLevel++;
-          }
+      chrome.alarms.create(this.alarmName(pageUrl), { delayInMinutes: 0.5, periodInMinutes: intervalMinutes });
+      return watchList;
+    },
 
-          return indentedLine;
-        });
+    async unwatch(url) {
+      const watchList = (await this.getWatchList()).filter(entry => entry.url !== url);
+      await chrome.storage.local.set({ watchList });
+      await chrome.alarms.clear(this.alarmName(url));
+      return watchList;
+    },
 
-        return indentedLines.join('\n');
-      } catch (error) {
-        console.warn('Error with basic beautification:', error);
-        return code;
+    // Recreate alarms that went missing (e.g. after the browser cleared them)
+    async syncAlarms() {
+      const watchList = await this.getWatchList();
+      for (const entry of watchList) {
+        const alarm = await chrome.alarms.get(this.alarmName(entry.url));
+        if (!alarm) {
+          chrome.alarms.create(this.alarmName(entry.url), { periodInMinutes: entry.intervalMinutes });
+        }
       }
     },
 
-    beautify(code) {
+    async appendLog(entry) {
+      const changeLog = [entry, ...await this.getChangeLog()].slice(0, this.maxLogEntries);
+      await chrome.storage.local.set({ changeLog });
+    },
+
+    // Re-scan a watched URL and record what changed in its scripts since the last check
+    async check(url) {
+      // Scanned with the popup's last options, so workers, modules and chunks are found as in a capture
+      const options = await chrome.storage.sync.get(extensionSettings.captureDefaults);
+      const checkedAt = new Date().toISOString();
+      let comparison;
+
       try {
-        // Use the imported js_beautify function if available
-        if (this.isAvailable()) {
-          return js_beautify(code, {
-            indent_size: 2,
-            indent_char: ' ',
-            max_preserve_newlines: 2,
-            preserve_newlines: true,
-            keep_array_indentation: false,
-            break_chained_methods: false,
-            indent_scripts: 'normal',
-            brace_style: 'collapse',
-            space_before_conditional: true,
-            unescape_strings: false,
-            jslint_happy: false,
-            end_with_newline: true,
-            wrap_line_length: 120,
-            comma_first: false
-          });
-        } else {
-          // Fall back to basic beautification
-          console.info('Using basic beautification fallback');
-          return this.basicBeautify(code);
-        }
+        // Page HTML carries nonces and tokens that change on every load, so only scripts are tracked;
+        // the rest of the page's stored capture is kept for the compare view
+        const scope = asset => assetTypes.isScript(asset.type);
+        const assets = await tabScanner.scanUrl(url, options);
+        comparison = await captureStore.compare(url, assets, options, { save: true, scope });
       } catch (error) {
-        console.warn('Error beautifying JavaScript:', error);
-        // Final fallback to original code if all beautification fails
-        return code;
+        console.warn(`Monitoring check failed for ${url}:`, error.message);
+        await this.appendLog({ url, checkedAt, error: error.message });
+        return null;
       }
+
+      const watchList = (await this.getWatchList()).map(entry => entry.url === url ? { ...entry, lastCheckedAt: checkedAt } : entry);
+      await chrome.storage.local.set({ watchList });
+
+      const { added, removed, changed } = comparison;
+      const changeCount = added.length + removed.length + changed.length;
+      if (!comparison.previousCapturedAt || changeCount === 0) {
+        return comparison;
+      }
+
+      const entry = {
+        url,
+        checkedAt,
+        previousCapturedAt: comparison.previousCapturedAt,
+        added: added.map(asset => asset.assetUrl),
+        removed: removed.map(asset => asset.assetUrl),
+        changed: changed.map(asset => asset.assetUrl)
+      };
+      await this.appendLog(entry);
+
+      chrome.notifications.create(`change:${checkedAt}`, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icon128.png'),
+        title: `JS changed on ${new URL(url).hostname}`,
+        message: `${added.length} new, ${removed.length} removed, ${changed.length} changed script${changed.length === 1 ? '' : 's'}`
+      });
+
+      return comparison;
     }
   };
 
-  // Download manager
-  const downloadManager = {
-    // Create a download URL for text content (cross-browser compatible)
-    createDownloadUrl(content, mimeType = 'text/plain') {
-      try {
-        // Try to use Blob URLs first (preferred for Firefox)
-        const blob = new Blob([content], { type: mimeType });
-        return URL.createObjectURL(blob);
-      } catch (error) {
-        console.warn('Blob URL creation failed, falling back to data URL:', error);
-        // Fallback to data URL for Chrome/other browsers
-        const base64 = btoa(unescape(encodeURIComponent(content)));
-        return `data:${mimeType};base64,${base64}`;
+  chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name.startsWith('watch:')) {
+      monitor.check(alarm.name.substring('watch:'.length));
+    }
+  });
+
+  chrome.runtime.onStartup.addListener(() => monitor.syncAlarms());
+  chrome.runtime.onInstalled.addListener(() => monitor.syncAlarms());
+
+  // Main-world hooks on Function, string timers, document.write and optionally eval (runtime-hooks.js).
+  // They are registered only while the option is on, and only reach pages loaded after that
+  const runtimeHooks = {
+    scriptId: 'runtime-hooks',
+
+    async sync() {
+      if (!chrome.scripting || !chrome.scripting.registerContentScripts) {
+        return;
+      }
+      const { hookRuntimeCode, hookEval } = await chrome.storage.sync.get({
+        hookRuntimeCode: extensionSettings.captureDefaults.hookRuntimeCode,
+        hookEval: extensionSettings.captureDefaults.hookEval
+      });
+      const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [this.scriptId] });
+      // Hooking eval changes how direct eval calls resolve names, so it has its own opt-in flag
+      const js = hookEval ? ['runtime-hooks-eval.js', 'runtime-hooks.js'] : ['runtime-hooks.js'];
+
+      if (hookRuntimeCode && registered.length === 0) {
+        await chrome.scripting.registerContentScripts([{
+          id: this.scriptId,
+          js,
+          matches: ['<all_urls>'],
+          runAt: 'document_start',
+          world: 'MAIN'
+        }]);
+      } else if (hookRuntimeCode && registered[0].js.join() !== js.join()) {
+        await chrome.scripting.updateContentScripts([{ id: this.scriptId, js }]);
+      } else if (!hookRuntimeCode && registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [this.scriptId] });
+      }
+    }
+  };
+
+  const syncRuntimeHooks = () => {
+    runtimeHooks.sync().catch(error => console.warn('Failed to update runtime hooks:', error));
+  };
+  chrome.runtime.onStartup.addListener(syncRuntimeHooks);
+  chrome.runtime.onInstalled.addListener(syncRuntimeHooks);
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && (changes.hookRuntimeCode || changes.hookEval)) {
+      syncRuntimeHooks();
+    }
+  });
+
+  recorder.restoreRecordingTabs().catch(error => console.warn('Could not restore recording sessions:', error));
+
+  chrome.tabs.onRemoved.addListener(tabId => {
+    recorder.update(tabId, () => null);
+  });
+
+  // Sessions don't outlive the browser, so neither do the scripts they recorded
+  chrome.runtime.onStartup.addListener(() => {
+    recorder.clearContents().catch(error => console.warn('Could not clear recorded scripts:', error));
+  });
+
+  // Captures started from the popup over a 'capture' port, one per tab (or per window, for capturing all
+  // of its tabs). Progress goes to every port attached to the job, so a reopened popup follows it again;
+  // a cancelled capture keeps its place until resumed.
+  const captureJobs = {
+    jobs: new Map(),
+
+    // Tab jobs are keyed by tab ID, window jobs by this
+    windowKey(windowId) {
+      return `window:${windowId}`;
+    },
+
+    create(key) {
+      const job = {
+        key,
+        state: 'running',
+        cancelled: false,
+        // Set once discovery is done: the expanded asset list, writer and results so far
+        run: null,
+        ports: new Set(),
+
+        emit(message) {
+          job.ports.forEach(port => {
+            try {
+              port.postMessage(message);
+            } catch {
+              job.ports.delete(port);
+            }
+          });
+        },
+
+        progress(result) {
+          job.emit({ type: 'progress', ...captureJobs.counts(job), result });
+        }
+      };
+      this.jobs.set(key, job);
+      return job;
+    },
+
+    // Files of the current download; window jobs also say which of their tabs it belongs to
+    counts(job) {
+      const files = job.run
+        ? { done: job.run.results.filter(Boolean).length, total: job.run.assets.length }
+        : { done: 0, total: 0 };
+      if (job.window && job.window.tabs) {
+        return { ...files, tab: Math.min(job.window.index + 1, job.window.tabs.length), tabs: job.window.tabs.length };
       }
+      return files;
     },
 
-    // Fetch external file content
-    async fetchExternalContent(url) {
-      try {
-        const response = await fetch(url);
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    // The job a popup message is about: its tab's own capture, otherwise one of the tab's window
+    find(message) {
+      return this.jobs.get(message.tabId)
+        || (message.windowId !== undefined && this.jobs.get(this.windowKey(message.windowId)))
+        || null;
+    },
+
+    // Current state for a popup that (re)attaches
+    describe(job) {
+      return { type: 'state', state: job.state, ...this.counts(job) };
+    },
+
+    // A new job for the tab or window, or null (with an error message sent) while another capture runs there
+    claim(key, port, busy = 'A capture is already running in this tab') {
+      const previous = this.jobs.get(key);
+      if (previous && previous.state !== 'cancelled') {
+        if (port) {
+          port.postMessage({ type: 'error', error: busy });
         }
-        return await response.text();
-      } catch (error) {
-        console.warn(`Failed to fetch external content from ${url}:`, error.message);
         return null;
       }
+
+      // Starting over drops the cancelled capture
+      const job = this.create(key);
+      if (port) {
+        job.ports.add(port);
+      }
+      return job;
     },
 
-    // Download a single file to evil-downloads subfolder
-    async downloadFile(asset, options = {}) {
-      try {
-        let content;
-        let url;
+    // Resolves with the job's final message once it is done, cancelled or failed; the port is optional
+    start(request, port = null) {
+      const job = this.claim(request.tabId, port);
+      if (!job) {
+        return Promise.resolve({ type: 'error', error: 'A capture is already running in this tab' });
+      }
+      const capture = downloadManager.createCapture(request.pageUrl, request.assets);
+      return this.follow(job, downloadManager.downloadFiles(request.assets, request.options, capture, job));
+    },
 
-        if (asset.content) {
-          // File has content already (inline scripts, HTML)
-          content = asset.content;
-          
-          // Prettify JavaScript if requested
-          if (options.prettifyJs && asset.type.includes('js')) {
-            content = jsBeautify.beautify(content);
-          }
+    // Crawl the site from the tab's page, then download everything found as one capture. Cancelling
+    // during the crawl stops it; resuming then downloads what was found so far.
+    crawl(request, port = null) {
+      const job = this.claim(request.tabId, port);
+      if (!job) {
+        return Promise.resolve({ type: 'error', error: 'A capture is already running in this tab' });
+      }
+      const tab = { id: request.tabId, url: request.pageUrl };
+      // A crawl spans many pages, so it isn't remembered as the start page's capture
+      const options = { ...request.options, groupByHost: true, trackChanges: false };
+      const downloads = crawler.crawl(tab, request.crawl, options, job).then(async ({ assets, pages }) => {
+        const capture = downloadManager.createCapture(request.pageUrl, assets);
+        // Fetched files are de-duplicated by content across pages
+        capture.contentHashes = new Map();
+        const outcome = await downloadManager.downloadFiles(assets, options, capture, job);
+        return { ...outcome, pages };
+      });
+      return this.follow(job, downloads);
+    },
 
-          url = this.createDownloadUrl(content, this.getMimeType(asset.type));
-        } else if (asset.url) {
-          // External file - fetch content if it's JS and beautification is requested
-          if (options.prettifyJs && asset.type.includes('js')) {
-            content = await this.fetchExternalContent(asset.url);
-            if (content) {
-              // Beautify the fetched JavaScript content
-              content = jsBeautify.beautify(content);
-              url = this.createDownloadUrl(content, this.getMimeType(asset.type));
-            } else {
-              // Fallback to direct download if fetch fails
-              url = asset.url;
-            }
+    // Capture every web page open in a window, one tab after the other, each into its own
+    // <host>/<timestamp> folder. Cancelling stops inside the current tab; resuming finishes it and goes on.
+    captureWindow(request, port = null) {
+      const busy = 'All tabs of this window are already being captured';
+      const job = this.claim(this.windowKey(request.windowId), port, busy);
+      if (!job) {
+        return Promise.resolve({ type: 'error', error: busy });
+      }
+      job.window = { windowId: request.windowId, tabs: null, options: null, index: 0, resuming: false, hosts: new Map() };
+      return this.follow(job, this.runWindow(job));
+    },
+
+    // Resolves with { hosts } once every tab is done, or { cancelled: true } where it stopped
+    async runWindow(job) {
+      const state = job.window;
+      if (!state.tabs) {
+        state.tabs = (await chrome.tabs.query({ windowId: state.windowId })).filter(tab => quickActions.isWebPage(tab));
+        state.options = { ...await quickActions.lastOptions(), groupByHost: true };
+      }
+
+      for (; state.index < state.tabs.length; state.index++) {
+        if (job.cancelled) {
+          return { cancelled: true };
+        }
+        const tab = state.tabs[state.index];
+        const host = quickActions.hostOf(tab.url);
+        if (!state.hosts.has(host)) {
+          state.hosts.set(host, { host, tabs: 0, successful: 0, failed: 0, errors: [] });
+        }
+        const group = state.hosts.get(host);
+        if (!state.resuming) {
+          group.tabs++;
+        }
+        job.emit({ type: 'phase', message: `Tab ${state.index + 1}/${state.tabs.length}: ${host}` });
+
+        let outcome;
+        try {
+          if (state.resuming) {
+            outcome = await downloadManager.runDownloads(job.run, job);
+          } else if (tab.discarded) {
+            // Unloaded tabs have no document to scan
+            throw new Error('tab is unloaded, reload it to capture');
           } else {
-            // For non-JS files or when beautification is disabled, download directly
-            url = asset.url;
+            const assets = await tabScanner.scanTab(tab.id, state.options);
+            if (assets.length === 0) {
+              throw new Error('No downloadable assets found');
+            }
+            const capture = downloadManager.createCapture(tab.url, assets);
+            outcome = await downloadManager.downloadFiles(assets, state.options, capture, job);
           }
+        } catch (error) {
+          outcome = { error };
+        }
+
+        state.resuming = Boolean(outcome.cancelled);
+        if (outcome.cancelled) {
+          return { cancelled: true };
+        }
+        // Counts start over with the next tab
+        job.run = null;
+        if (outcome.error) {
+          group.errors.push(`${tab.url}: ${outcome.error.message}`);
         } else {
-          throw new Error('Asset has no content or URL');
+          const summary = downloadManager.summarize(outcome);
+          group.successful += summary.successful;
+          group.failed += summary.failed;
         }
+      }
+      return { hosts: [...state.hosts.values()] };
+    },
 
-        // Download to evil-downloads subfolder in Downloads directory
-        const filename = `evil-downloads/${asset.filename}`;
-        
-        console.log('Downloading to:', filename);
-        
-        // Build download options with explicit settings to prevent dialog
-        const downloadOptions = {
-          url: url,
-          filename: filename,
-          saveAs: false, // Explicitly disable file dialog
-          conflictAction: 'uniquify' // Auto-rename if file exists
-        };
-        
-        // Remove undefined/null properties that might interfere
-        Object.keys(downloadOptions).forEach(key => {
-          if (downloadOptions[key] === undefined || downloadOptions[key] === null) {
-            delete downloadOptions[key];
+    cancel(job) {
+      if (job.state !== 'running') return;
+      job.cancelled = true;
+      job.state = 'cancelling';
+      job.emit({ type: 'phase', message: 'Cancelling, waiting for running downloads…' });
+    },
+
+    resume(job) {
+      if (job.state !== 'cancelled') return;
+      job.cancelled = false;
+      job.state = 'running';
+      job.emit(this.describe(job));
+      return this.follow(job, job.window ? this.runWindow(job) : downloadManager.runDownloads(job.run, job));
+    },
+
+    follow(job, downloads) {
+      return downloads
+        .then(outcome => {
+          if (outcome.cancelled) {
+            job.state = 'cancelled';
+            return { type: 'cancelled', ...this.counts(job) };
           }
+          this.jobs.delete(job.key);
+          if (outcome.hosts) {
+            return { type: 'done', hosts: outcome.hosts };
+          }
+          return {
+            type: 'done',
+            results: outcome.results,
+            archive: outcome.archive,
+            summary: downloadManager.summarize(outcome),
+            ...(outcome.pages ? { pages: outcome.pages } : {})
+          };
+        })
+        .catch(error => {
+          console.warn('Capture failed:', error);
+          this.jobs.delete(job.key);
+          return { type: 'error', error: error.message };
+        })
+        .then(message => {
+          job.emit(message);
+          return message;
         });
+    }
+  };
 
-        console.log('Download options:', downloadOptions);
-        
-        const downloadId = await chrome.downloads.download(downloadOptions);
-        
-        console.log('Download started with ID:', downloadId);
-        
-        // Clean up blob URL if it was created (to prevent memory leaks)
-        if (url.startsWith('blob:')) {
-          setTimeout(() => {
-            try {
-              URL.revokeObjectURL(url);
-              console.log('Cleaned up blob URL');
-            } catch (error) {
-              console.warn('Failed to clean up blob URL:', error);
-            }
-          }, 5000); // Wait 5 seconds before cleanup
-        }
-        
-        // Wait a moment then check the actual download path
-        setTimeout(async () => {
-          try {
-            const items = await chrome.downloads.search({ id: downloadId });
-            if (items.length > 0) {
-              console.log('Actual download path:', items[0].filename);
-              console.log('Download state:', items[0].state);
-            }
-          } catch (error) {
-            console.warn('Could not check download path:', error);
-          }
-        }, 1000);
-        
-        return { success: true, downloadId, filename: asset.filename };
-      } catch (error) {
-        console.error('Download failed:', error);
-        return { success: false, error: error.message, filename: asset.filename };
+  chrome.runtime.onConnect.addListener(port => {
+    if (port.name !== 'capture') return;
+
+    port.onMessage.addListener(message => {
+      if (message.action === 'start') {
+        captureJobs.start(message, port);
+        return;
+      }
+      if (message.action === 'crawl') {
+        captureJobs.crawl(message, port);
+        return;
+      }
+      if (message.action === 'captureWindow') {
+        captureJobs.captureWindow(message, port);
+        return;
+      }
+
+      const job = captureJobs.find(message);
+      if (!job) {
+        port.postMessage({ type: 'idle' });
+        return;
+      }
+      job.ports.add(port);
+
+      if (message.action === 'attach') {
+        port.postMessage(captureJobs.describe(job));
+      } else if (message.action === 'cancel') {
+        captureJobs.cancel(job);
+      } else if (message.action === 'resume') {
+        captureJobs.resume(job);
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      captureJobs.jobs.forEach(job => job.ports.delete(port));
+    });
+  });
+
+  chrome.tabs.onRemoved.addListener(tabId => {
+    const job = captureJobs.jobs.get(tabId);
+    if (job && job.state === 'cancelled') {
+      captureJobs.jobs.delete(tabId);
+    }
+  });
+
+  if (chrome.windows) {
+    chrome.windows.onRemoved.addListener(windowId => {
+      const job = captureJobs.jobs.get(captureJobs.windowKey(windowId));
+      if (job && job.state === 'cancelled') {
+        captureJobs.jobs.delete(job.key);
+      }
+    });
+  }
+
+  // Entry points outside the popup: keyboard commands, the context menu and capturing a whole window
+  const quickActions = {
+    linkMenuId: 'download-link',
+    scriptMenuId: 'download-script',
+
+    // Options as last saved from the popup
+    lastOptions() {
+      return chrome.storage.sync.get(extensionSettings.captureDefaults);
+    },
+
+    notify(title, message) {
+      chrome.notifications.create(`quick:${Date.now()}`, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icon128.png'),
+        title,
+        message
+      });
+    },
+
+    async getActiveTab(tab) {
+      if (tab && tab.id !== undefined) {
+        return tab;
+      }
+      const [active] = await chrome.tabs.query({ active: true, currentWindow: true });
+      return active;
+    },
+
+    isWebPage(tab) {
+      return Boolean(tab && /^https?:/i.test(tab.url || ''));
+    },
+
+    hostOf(url) {
+      try {
+        return new URL(url).hostname;
+      } catch {
+        return url;
+      }
+    },
+
+    // Final message of a capture job, in one line
+    describe(message) {
+      if (message.type === 'done') {
+        const { successful, failed, total } = message.summary;
+        return failed === 0
+          ? `Downloaded ${successful} file${successful === 1 ? '' : 's'}`
+          : `Downloaded ${successful}/${total} files (${failed} failed)`;
       }
+      if (message.type === 'cancelled') {
+        return `Cancelled after ${message.done}/${message.total} files${message.tabs ? ` of tab ${message.tab}/${message.tabs}` : ''}`;
+      }
+      return `Error: ${message.error}`;
     },
 
-    // Download multiple files to evil-downloads subfolder
-    async downloadFiles(assets, options = {}) {
+    // Scan a tab and download what was found as a capture job, so a popup opened on it shows the progress
+    async captureTab(tab, options) {
+      const assets = await tabScanner.scanTab(tab.id, options);
       if (assets.length === 0) {
-        return [];
+        return { type: 'error', error: 'No downloadable assets found' };
       }
+      return captureJobs.start({ tabId: tab.id, assets, options, pageUrl: tab.url });
+    },
 
-      const results = [];
-      
-      // Download all files to ~/Downloads/evil-downloads/
-      for (const asset of assets) {
-        const result = await this.downloadFile(asset, options);
-        results.push(result);
-        
-        // Small delay between downloads to avoid overwhelming the browser
-        await new Promise(resolve => setTimeout(resolve, 200));
+    async captureActiveTab(tab) {
+      tab = await this.getActiveTab(tab);
+      if (!this.isWebPage(tab)) {
+        this.notify('Nothing to capture', 'Only web pages (http/https) can be captured');
+        return;
       }
-      
-      return results;
+      this.notify(`Capturing ${this.hostOf(tab.url)}`, 'Scanning the page with the last used settings…');
+      let message;
+      try {
+        message = await this.captureTab(tab, await this.lastOptions());
+      } catch (error) {
+        message = { type: 'error', error: error.message };
+      }
+      this.notify(`Capture of ${this.hostOf(tab.url)}`, this.describe(message));
     },
 
-    // Get MIME type for different asset types
-    getMimeType(type) {
-      switch (type) {
-        case 'html':
-        case 'iframe-html':
-          return 'text/html';
-        case 'external-js':
-        case 'inline-js':
-          return 'application/javascript';
-        default:
-          return 'text/plain';
+    async toggleRecording(tab) {
+      tab = await this.getActiveTab(tab);
+      if (!this.isWebPage(tab)) {
+        this.notify('Nothing to record', 'Only web pages (http/https) can be recorded');
+        return;
+      }
+      if (await recorder.isRecording(tab.id)) {
+        await recorder.stop(tab.id);
+        const { count } = await recorder.getStatus(tab.id);
+        this.notify('Recording stopped', `${count} script${count === 1 ? '' : 's'} recorded on ${this.hostOf(tab.url)}`);
+      } else {
+        await recorder.start(tab.id, tab.url);
+        this.notify('Recording started', `Collecting every script ${this.hostOf(tab.url)} loads`);
+      }
+    },
+
+    // Capture every web page open in a window as a window job, so a popup opened meanwhile follows it,
+    // and sum the results up per host
+    async captureWindow(windowId) {
+      const message = await captureJobs.captureWindow({ windowId });
+      if (message.type !== 'done') {
+        this.notify('Capture of this window', this.describe(message));
+        return;
+      }
+      const tabs = message.hosts.reduce((sum, group) => sum + group.tabs, 0);
+      this.notify(
+        `Captured ${tabs} tab${tabs === 1 ? '' : 's'}`,
+        message.hosts.map(group => `${group.host}: ${group.successful} files${group.errors.length > 0 ? `, ${group.errors.length} tab(s) failed` : ''}`).join('\n') || 'No web pages open in this window'
+      );
+    },
+
+    // Type and filename of a single resource, from its URL
+    assetFor(url) {
+      let pathname = '';
+      let filename;
+      try {
+        const urlObj = new URL(url);
+        pathname = urlObj.pathname;
+        filename = pathname.split('/').pop() || urlObj.hostname + '_index';
+      } catch {
+        filename = 'unknown_file';
+      }
+
+      const extension = (pathname.match(/\.([a-z0-9]+)$/i) || [])[1] || '';
+      let type = 'external-file';
+      if (/^(m|c)?js$/i.test(extension)) {
+        type = 'external-js';
+      } else if (/^css$/i.test(extension)) {
+        type = 'external-css';
+      } else if (/^(json|webmanifest|map)$/i.test(extension)) {
+        type = 'external-json';
+      } else if (/^wasm$/i.test(extension)) {
+        type = 'wasm';
+      } else if (!extension || /^(html?|php|aspx?|jsp)$/i.test(extension)) {
+        type = 'html';
+        filename = /\.html?$/i.test(filename) ? filename : filename + '.html';
+      }
+      return { url, filename, type };
+    },
+
+    // There is no context menu for <script> elements, so scripts are offered through links to them
+    // and when a script file is open in the tab
+    createMenus() {
+      chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+          id: this.linkMenuId,
+          title: 'Download and beautify linked file',
+          contexts: ['link']
+        });
+        chrome.contextMenus.create({
+          id: this.scriptMenuId,
+          title: 'Download and beautify this script',
+          contexts: ['page', 'frame'],
+          documentUrlPatterns: ['*://*/*.js', '*://*/*.js?*', '*://*/*.mjs', '*://*/*.mjs?*', '*://*/*.cjs', '*://*/*.cjs?*']
+        });
+      });
+    },
+
+    // Download one resource on its own, beautified, through the regular download path
+    async downloadResource(info, tab) {
+      const url = info.menuItemId === this.linkMenuId ? info.linkUrl : (info.frameUrl || info.pageUrl);
+      const asset = this.assetFor(url);
+      const options = await downloadManager.withProfile({ ...await this.lastOptions(), prettifyJs: true });
+      const capture = downloadManager.createCapture(tab && tab.url, [asset]);
+
+      const result = await downloadManager.downloadFile(asset, options, writers.direct(capture));
+      if (result.success && !result.skipped) {
+        this.notify('Downloaded', `${result.filename}${result.note ? ` (${result.note})` : ''}`);
+      } else {
+        this.notify('Download failed', `${asset.filename}: ${result.error || result.reason}`);
       }
     }
   };
 
+  if (chrome.contextMenus) {
+    chrome.runtime.onInstalled.addListener(() => quickActions.createMenus());
+    chrome.contextMenus.onClicked.addListener((info, tab) => {
+      if (info.menuItemId === quickActions.linkMenuId || info.menuItemId === quickActions.scriptMenuId) {
+        quickActions.downloadResource(info, tab).catch(error => console.warn('Context menu download failed:', error));
+      }
+    });
+  }
+
+  if (chrome.commands) {
+    chrome.commands.onCommand.addListener((command, tab) => {
+      const actions = {
+        'capture-tab': () => quickActions.captureActiveTab(tab),
+        'toggle-recording': () => quickActions.toggleRecording(tab),
+        'capture-window': async () => quickActions.captureWindow((await quickActions.getActiveTab(tab)).windowId)
+      };
+      if (actions[command]) {
+        actions[command]().catch(error => console.warn(`Command ${command} failed:`, error));
+      }
+    });
+  }
+
   // Message listener for communication with popup and content scripts
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'downloadAssets') {
-      downloadManager.downloadFiles(request.assets, request.options)
-        .then(results => {
-          const successCount = results.filter(r => r.success).length;
-          const failureCount = results.filter(r => !r.success).length;
-          
+      const capture = downloadManager.createCapture(request.pageUrl, request.assets);
+      downloadManager.downloadFiles(request.assets, request.options, capture)
+        .then(outcome => {
           sendResponse({
             success: true,
-            results,
-            summary: {
-              total: results.length,
-              successful: successCount,
-              failed: failureCount
-            }
+            results: outcome.results,
+            archive: outcome.archive,
+            summary: downloadManager.summarize(outcome)
           });
         })
         .catch(error => {
@@ -306,13 +4484,104 @@
       return true;
     }
 
-    if (request.action === 'beautifyJs') {
-      try {
-        const beautified = jsBeautify.beautify(request.code);
-        sendResponse({ success: true, code: beautified });
-      } catch (error) {
-        sendResponse({ success: false, error: error.message });
+    if (request.action === 'startRecording' || request.action === 'stopRecording') {
+      const done = request.action === 'startRecording'
+        ? recorder.start(request.tabId, request.pageUrl)
+        : recorder.stop(request.tabId);
+
+      done
+        .then(() => recorder.getStatus(request.tabId))
+        .then(status => sendResponse({ success: true, ...status }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+
+    if (request.action === 'getRecordingStatus') {
+      // Content scripts ask on load so recording continues across navigations
+      const tabId = sender.tab ? sender.tab.id : request.tabId;
+      recorder.getStatus(tabId)
+        .then(status => sendResponse({ success: true, ...status }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+
+    if (request.action === 'recordResources') {
+      if (sender.tab) {
+        recorder.add(sender.tab.id, request.resources, 'content');
+      }
+      return;
+    }
+
+    if (request.action === 'compareCapture') {
+      captureStore.compare(request.pageUrl, request.assets, request.options || {})
+        .then(comparison => sendResponse({ success: true, comparison }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+
+    if (request.action === 'getMonitorState') {
+      Promise.all([monitor.getWatchList(), monitor.getChangeLog()])
+        .then(([watchList, changeLog]) => sendResponse({ success: true, watchList, changeLog }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+
+    if (request.action === 'watchUrl' || request.action === 'unwatchUrl') {
+      const done = request.action === 'watchUrl'
+        ? monitor.watch(request.url, request.intervalMinutes)
+        : monitor.unwatch(request.url);
+
+      done
+        .then(watchList => sendResponse({ success: true, watchList }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+
+    if (request.action === 'measureAsset') {
+      // Size of the file for the popup's asset picker: the fetched size when the tab's capture already
+      // holds the response, otherwise the transfer size from a HEAD request's Content-Length (servers
+      // that don't send one show no size). Bodies are only fetched by the download itself.
+      const job = captureJobs.find({ tabId: request.tabId });
+      const cached = job && job.run && job.run.capture.responses.get(request.url);
+      if (cached) {
+        Promise.resolve(cached)
+          .then(response => sendResponse({ success: true, size: response ? response.bytes.length : null, transfer: false }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
       }
+
+      fetch(request.url, { method: 'HEAD' })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          }
+          const length = response.headers.get('Content-Length');
+          sendResponse({ success: true, size: length !== null && /^\d+$/.test(length) ? Number(length) : null, transfer: true });
+        })
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+
+    if (request.action === 'scanFrames') {
+      tabScanner.scanFrames(request.tabId, request.options)
+        .then(assets => sendResponse({ success: true, assets }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+
+    if (request.action === 'getRecordedAssets') {
+      recorder.getAssets(request.tabId)
+        .then(assets => sendResponse({ success: true, assets }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    }
+
+    if (request.action === 'beautifyJs') {
+      extensionSettings.getActiveProfile()
+        .then(profile => beautifierWorkers.format(request.code, 'inline-js', profile))
+        .then(({ content, note }) => sendResponse({ success: true, code: content, note }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
     }
   });
 
@@ -0,0 +1,54 @@
+// Pool of beautifier workers, used by the offscreen document (Chrome) and the background page (Firefox)
+(() => {
+  'use strict';
+
+  const beautifyPool = {
+    // Leave a core for the browser; a single worker still keeps the background responsive
+    size: Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1)),
+    idle: [],
+    running: 0,
+    waiting: [],
+
+    // Resolves with { content }, { error } or { timedOut: true }; never rejects
+    run(task, timeout) {
+      return new Promise(resolve => {
+        this.waiting.push({ task, timeout, resolve });
+        this.next();
+      });
+    },
+
+    next() {
+      while (this.waiting.length > 0 && this.running < this.size) {
+        const { task, timeout, resolve } = this.waiting.shift();
+        const worker = this.idle.pop() || new Worker('beautify-worker.js');
+        this.running++;
+
+        let timer = null;
+        const settle = (result, reusable) => {
+          clearTimeout(timer);
+          worker.onmessage = null;
+          worker.onerror = null;
+          this.running--;
+          if (reusable) {
+            this.idle.push(worker);
+          } else {
+            worker.terminate();
+          }
+          resolve(result);
+          this.next();
+        };
+
+        // A runaway beautify can't be interrupted, only thrown away together with its worker
+        timer = setTimeout(() => settle({ timedOut: true }, false), timeout);
+        worker.onmessage = ({ data }) => settle(data, true);
+        worker.onerror = (event) => {
+          event.preventDefault();
+          settle({ error: event.message || 'Beautifier worker failed' }, false);
+        };
+        worker.postMessage(task);
+      }
+    }
+  };
+
+  globalThis.beautifyPool = beautifyPool;
+})();
@@ -0,0 +1,31 @@
+// Beautifier worker - formats one file per message, away from the extension's main thread
+(() => {
+  'use strict';
+
+  // The libraries register their globals on `window` or `global`; a worker has neither
+  self.global = self;
+  importScripts('js-beautify.min.js', 'beautify-css.min.js', 'beautify-html.min.js');
+
+  // Settings arrive already picked from the beautifier profile for the file's kind
+  const formatters = {
+    js: (content, settings) => js_beautify(content, settings),
+    css: (content, settings) => css_beautify(content, settings),
+    html: (content, settings) => html_beautify(content, settings),
+    json(content) {
+      try {
+        return JSON.stringify(JSON.parse(content), null, 2) + '\n';
+      } catch {
+        return content;
+      }
+    }
+  };
+
+  self.onmessage = ({ data }) => {
+    const { kind, content, settings } = data;
+    try {
+      self.postMessage({ content: formatters[kind](content, settings) });
+    } catch (error) {
+      self.postMessage({ error: error.message });
+    }
+  };
+})();
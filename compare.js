@@ -0,0 +1,110 @@
+// Compare page for Page Assets Downloader - diffs the current page against its last capture
+(() => {
+  'use strict';
+
+  // DOM elements
+  const pageUrlDiv = document.getElementById('pageUrl');
+  const statusDiv = document.getElementById('status');
+  const resultsDiv = document.getElementById('results');
+
+  // Rendering helpers
+  const ui = {
+    showStatus(message, type = 'info') {
+      statusDiv.textContent = message;
+      statusDiv.className = `status ${type}`;
+    },
+
+    element(tag, className, text) {
+      const node = document.createElement(tag);
+      if (className) node.className = className;
+      if (text !== undefined) node.textContent = text;
+      return node;
+    },
+
+    renderList(title, items, className) {
+      if (items.length === 0) return;
+      resultsDiv.append(this.element('h2', null, `${title} (${items.length})`));
+      const list = this.element('ul');
+      items.forEach(item => list.append(this.element('li', className, item.assetUrl)));
+      resultsDiv.append(list);
+    },
+
+    // Unified diff with added/removed lines coloured
+    renderDiff(diff) {
+      const pre = this.element('pre');
+      diff.split('\n').forEach(line => {
+        let className = null;
+        if (line.startsWith('@@')) className = 'hunk';
+        else if (line.startsWith('+++') || line.startsWith('---')) className = 'meta';
+        else if (line.startsWith('+')) className = 'added';
+        else if (line.startsWith('-')) className = 'removed';
+        pre.append(this.element('span', className, line + '\n'));
+      });
+      return pre;
+    },
+
+    renderComparison(comparison) {
+      const { added, removed, changed, unchanged, failed } = comparison;
+      this.showStatus(
+        `Compared with capture from ${new Date(comparison.previousCapturedAt).toLocaleString()}: ` +
+        `${added.length} new, ${removed.length} removed, ${changed.length} changed, ${unchanged} unchanged` +
+        (failed.length > 0 ? `, ${failed.length} could not be fetched` : ''),
+        'info'
+      );
+
+      this.renderList('New scripts', added, 'added');
+      this.renderList('Removed scripts', removed, 'removed');
+
+      if (changed.length > 0) {
+        resultsDiv.append(this.element('h2', null, `Changed (${changed.length})`));
+        changed.forEach(item => {
+          const details = this.element('details');
+          details.append(this.element('summary', null, item.assetUrl), this.renderDiff(item.diff));
+          resultsDiv.append(details);
+        });
+      }
+
+      this.renderList('Could not fetch', failed, 'removed');
+    }
+  };
+
+  const sendMessage = (message) => new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (response && response.success) {
+        resolve(response);
+      } else {
+        reject(new Error(response?.error || 'Request failed'));
+      }
+    });
+  });
+
+  const compare = async () => {
+    const tabId = Number(new URLSearchParams(location.search).get('tabId'));
+    const tab = await chrome.tabs.get(tabId);
+    pageUrlDiv.textContent = tab.url;
+
+    // Scanned with the popup's last options; content is normalized with the settings stored with the capture
+    const options = await chrome.storage.sync.get(extensionSettings.captureDefaults);
+    const { assets } = await sendMessage({ action: 'scanFrames', tabId, options });
+
+    ui.showStatus(`Fetching and comparing ${assets.length} assets…`);
+    const { comparison } = await sendMessage({ action: 'compareCapture', pageUrl: tab.url, assets, options });
+
+    if (!comparison.previousCapturedAt) {
+      ui.showStatus('No previous capture of this page yet - download it once first', 'error');
+      return;
+    }
+    ui.renderComparison(comparison);
+  };
+
+  document.addEventListener('DOMContentLoaded', () => {
+    compare().catch(error => {
+      console.error('Compare failed:', error);
+      ui.showStatus(`Error: ${error.message}`, 'error');
+    });
+  });
+})();
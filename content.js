@@ -2,6 +2,10 @@
 (() => {
   'use strict';
 
+  // The background injects this script into frames the manifest missed, which must not run it twice
+  if (globalThis.pageAssetsContentLoaded) return;
+  globalThis.pageAssetsContentLoaded = true;
+
   // Utility functions
   const utils = {
     // Sanitize filename for downloads
@@ -27,6 +31,153 @@
       }
     },
 
+    // Every open shadow root in the document, including ones nested in other shadow trees
+    getShadowRoots(root = document) {
+      const roots = [];
+      root.querySelectorAll('*').forEach(element => {
+        if (element.shadowRoot) {
+          roots.push(element.shadowRoot, ...this.getShadowRoots(element.shadowRoot));
+        }
+      });
+      return roots;
+    },
+
+    // querySelectorAll across the document and its open shadow roots
+    queryAll(selector) {
+      return [document, ...this.getShadowRoots()].flatMap(root => Array.from(root.querySelectorAll(selector)));
+    },
+
+    // outerHTML of the live document, with open shadow roots written out as declarative
+    // <template shadowrootmode="open"> blocks so web component content isn't lost
+    serializeDocument() {
+      const clone = document.documentElement.cloneNode(true);
+      this.inlineShadowRoots(document.documentElement, clone);
+      return clone.outerHTML;
+    },
+
+    // `copy` is a clone of `original`, so their elements line up one to one
+    inlineShadowRoots(original, copy) {
+      const originals = original.querySelectorAll('*');
+      const copies = copy.querySelectorAll('*');
+      originals.forEach((element, index) => {
+        if (!element.shadowRoot) return;
+
+        const shadow = document.createElement('div');
+        element.shadowRoot.childNodes.forEach(node => shadow.append(node.cloneNode(true)));
+        this.inlineShadowRoots(element.shadowRoot, shadow);
+
+        const template = document.createElement('template');
+        template.setAttribute('shadowrootmode', 'open');
+        template.innerHTML = shadow.innerHTML;
+        copies[index].prepend(template);
+      });
+    },
+
+    // Short CSS path that identifies an element, anchored at the nearest ancestor with an id
+    cssSelector(element) {
+      const parts = [];
+      let node = element;
+      while (node && node.nodeType === Node.ELEMENT_NODE && parts.length < 6) {
+        if (node.id) {
+          parts.unshift(`#${CSS.escape(node.id)}`);
+          break;
+        }
+
+        let part = node.localName;
+        const classes = Array.from(node.classList).slice(0, 2);
+        if (classes.length > 0) {
+          part += classes.map(name => `.${CSS.escape(name)}`).join('');
+        }
+        const parent = node.parentElement;
+        if (parent && node.localName !== 'html' && node.localName !== 'body') {
+          const siblings = Array.from(parent.children).filter(child => child.localName === node.localName);
+          if (siblings.length > 1) {
+            part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+          }
+        }
+        parts.unshift(part);
+
+        if (node.localName === 'body') break;
+        node = parent;
+      }
+      return parts.join(' > ');
+    },
+
+    // Pretty-print JSON text, leaving it untouched if it doesn't parse
+    formatJson(text) {
+      try {
+        return JSON.stringify(JSON.parse(text), null, 2) + '\n';
+      } catch {
+        return text;
+      }
+    },
+
+    parseJson(text) {
+      try {
+        return JSON.parse(text);
+      } catch {
+        return null;
+      }
+    },
+
+    // The JSON value assigned at `start`: an object/array literal or JSON.parse('...'), else null
+    readJsonValue(source, start) {
+      const parseCall = /^JSON\.parse\(\s*(["'])/.exec(source.substring(start, start + 20));
+      if (parseCall) {
+        const text = this.readStringLiteral(source, start + parseCall[0].length - 1);
+        return text === null ? null : this.parseJson(text);
+      }
+
+      const open = source[start];
+      if (open !== '{' && open !== '[') return null;
+
+      // Match brackets, skipping over strings
+      let depth = 0;
+      for (let i = start; i < source.length; i++) {
+        const char = source[i];
+        if (char === '"') {
+          i++;
+          while (i < source.length && source[i] !== '"') {
+            if (source[i] === '\\') i++;
+            i++;
+          }
+        } else if (char === '{' || char === '[') {
+          depth++;
+        } else if ((char === '}' || char === ']') && --depth === 0) {
+          return this.parseJson(source.substring(start, i + 1));
+        }
+      }
+      return null;
+    },
+
+    // Decode the JS string literal whose opening quote is at `start`
+    readStringLiteral(source, start) {
+      const quote = source[start];
+      let json = '';
+      for (let i = start + 1; i < source.length; i++) {
+        const char = source[i];
+        if (char === quote) {
+          return this.parseJson(`"${json}"`);
+        }
+        if (char === '\\') {
+          const next = source[++i];
+          if (next === 'x') {
+            json += `\\u00${source.substr(i + 1, 2)}`;
+            i += 2;
+          } else if ('"\\/bfnrtu'.includes(next)) {
+            json += `\\${next}`;
+          } else if (next !== '\n') {
+            json += next;
+          }
+        } else if (char === '"') {
+          json += '\\"';
+        } else {
+          json += char;
+        }
+      }
+      return null;
+    },
+
     // Fetch file content with error handling
     async fetchFileContent(url) {
       try {
@@ -47,52 +198,321 @@
     // Get all external JavaScript files
     getExternalScripts() {
       const scripts = [];
-      document.querySelectorAll('script[src]').forEach(script => {
+      utils.queryAll('script[src]').forEach(script => {
         const src = script.src;
         if (src && (src.startsWith('http') || src.startsWith('//'))) {
           const filename = utils.getFilenameFromUrl(src);
           scripts.push({
             url: src,
             filename: filename.endsWith('.js') ? filename : filename + '.js',
-            type: 'external-js'
+            type: 'external-js',
+            module: script.type === 'module',
+            integrity: script.integrity || null
           });
         }
       });
       return scripts;
     },
 
+    // Get modules declared with <link rel="modulepreload">
+    getModulePreloads() {
+      const modules = [];
+      document.querySelectorAll('link[rel="modulepreload"][href]').forEach(link => {
+        const href = link.href;
+        if (href && href.startsWith('http')) {
+          const filename = utils.getFilenameFromUrl(href);
+          modules.push({
+            url: href,
+            filename: filename.endsWith('.js') ? filename : filename + '.js',
+            type: 'external-js',
+            module: true,
+            integrity: link.integrity || null
+          });
+        }
+      });
+      return modules;
+    },
+
+    // Get <script type="importmap"> blocks, used to resolve bare module specifiers
+    getImportMaps() {
+      const maps = [];
+      document.querySelectorAll('script[type="importmap"]').forEach((script, index) => {
+        if (script.textContent && script.textContent.trim()) {
+          maps.push({
+            content: script.textContent,
+            filename: `importmap_${index + 1}.json`,
+            type: 'importmap',
+            baseUrl: document.baseURI
+          });
+        }
+      });
+      return maps;
+    },
+
     // Get all inline scripts
     getInlineScripts() {
       const scripts = [];
-      document.querySelectorAll('script:not([src])').forEach((script, index) => {
+      utils.queryAll('script:not([src])').forEach((script, index) => {
+        if (script.type === 'importmap' || scanner.isJsonScript(script)) return;
         if (script.textContent && script.textContent.trim()) {
           scripts.push({
             content: script.textContent,
             filename: `inline_script_${index + 1}.js`,
-            type: 'inline-js'
+            type: 'inline-js',
+            module: script.type === 'module',
+            baseUrl: document.baseURI
           });
         }
       });
       return scripts;
     },
 
+    // <script type="application/json">, ld+json and other typed JSON blocks hold data, not code
+    isJsonScript(script) {
+      return /\bjson\b/i.test(script.type);
+    },
+
+    // Page state the app was rendered with: typed JSON blocks (__NEXT_DATA__, ld+json, __NUXT_DATA__)
+    // and JSON assigned to hydration globals (__NUXT__, __APOLLO_STATE__, __INITIAL_STATE__...)
+    getStateBlobs() {
+      const blobs = [];
+      const names = new Set();
+      const add = (name, content) => {
+        const base = name.replace(/[^\w.-]/g, '_');
+        let filename = base;
+        for (let n = 2; names.has(filename); n++) {
+          filename = `${base}_${n}`;
+        }
+        names.add(filename);
+        blobs.push({ content, filename: `${filename}.json`, type: 'inline-json', baseUrl: document.baseURI });
+      };
+
+      let blockCount = 0;
+      const assignment = /\b(?:window|self|globalThis)\s*(?:\.\s*(__[\w$]+__|__remixContext)|\[\s*["'](__[\w$]+__|__remixContext)["']\s*\])\s*=\s*/g;
+      utils.queryAll('script:not([src])').forEach(script => {
+        const text = script.textContent;
+        if (!text || !text.trim() || script.type === 'importmap') return;
+
+        if (scanner.isJsonScript(script)) {
+          const name = script.id || (/ld\+json/i.test(script.type) ? `ld_json_${++blockCount}` : `inline_json_${++blockCount}`);
+          add(name, utils.formatJson(text));
+          return;
+        }
+
+        // Only literal JSON is taken; state built by code (e.g. Nuxt's IIFE) stays in the inline script
+        for (const match of text.matchAll(assignment)) {
+          const value = utils.readJsonValue(text, match.index + match[0].length);
+          if (value !== null) {
+            add(match[1] || match[2], JSON.stringify(value, null, 2) + '\n');
+          }
+        }
+      });
+      return blobs;
+    },
+
+    // Inline on* handler attributes and javascript: URLs, grouped by code into one annotated file
+    getInlineHandlers() {
+      const handlers = new Map();
+      const add = (element, attribute, code) => {
+        if (!code.trim()) return;
+        const key = `${attribute}\n${code}`;
+        if (!handlers.has(key)) {
+          handlers.set(key, { attribute, code, selectors: [] });
+        }
+        handlers.get(key).selectors.push(utils.cssSelector(element));
+      };
+
+      const urlAttributes = ['href', 'src', 'action', 'formaction', 'xlink:href'];
+      utils.queryAll('*').forEach(element => {
+        for (const attribute of element.attributes) {
+          const name = attribute.name.toLowerCase();
+          if (name.startsWith('on')) {
+            add(element, name, attribute.value);
+          } else if (urlAttributes.includes(name) && /^\s*javascript:/i.test(attribute.value)) {
+            const code = attribute.value.replace(/^\s*javascript:/i, '');
+            try {
+              add(element, name, decodeURIComponent(code));
+            } catch {
+              add(element, name, code);
+            }
+          }
+        }
+      });
+
+      if (handlers.size === 0) return [];
+
+      // Each handler becomes a function named after its attribute, so the file stays valid JS
+      const lines = [`// Inline event handlers and javascript: URLs from ${location.href}`, ''];
+      handlers.forEach(({ attribute, code, selectors }) => {
+        selectors.slice(0, 10).forEach(selector => lines.push(`// ${selector} [${attribute}]`));
+        if (selectors.length > 10) {
+          lines.push(`// ... and ${selectors.length - 10} more`);
+        }
+        const name = attribute.replace(/[^\w$]/g, '_');
+        lines.push(`function ${name}(${name.startsWith('on') ? 'event' : ''}) {`, code, '}', '');
+      });
+
+      return [{
+        content: lines.join('\n'),
+        filename: 'inline_handlers.js',
+        type: 'inline-js',
+        baseUrl: document.baseURI
+      }];
+    },
+
+    // Get scripts of the service workers registered for this origin
+    async getServiceWorkers() {
+      if (!navigator.serviceWorker || !navigator.serviceWorker.getRegistrations) {
+        return [];
+      }
+
+      const workers = [];
+      const seen = new Set();
+      try {
+        const registrations = await navigator.serviceWorker.getRegistrations();
+        registrations.forEach(registration => {
+          [registration.active, registration.waiting, registration.installing].forEach(worker => {
+            if (!worker || !worker.scriptURL || seen.has(worker.scriptURL)) return;
+            seen.add(worker.scriptURL);
+
+            const filename = utils.getFilenameFromUrl(worker.scriptURL);
+            workers.push({
+              url: worker.scriptURL,
+              filename: filename.endsWith('.js') ? filename : filename + '.js',
+              type: 'service-worker-js',
+              scope: registration.scope
+            });
+          });
+        });
+      } catch (error) {
+        console.warn('Could not read service worker registrations:', error.message);
+      }
+      return workers;
+    },
+
+    // Get external stylesheets and <style> blocks
+    getStylesheets(includeInline) {
+      const stylesheets = [];
+      utils.queryAll('link[rel~="stylesheet"][href]').forEach(link => {
+        const href = link.href;
+        if (href && href.startsWith('http')) {
+          const filename = utils.getFilenameFromUrl(href);
+          stylesheets.push({
+            url: href,
+            filename: filename.endsWith('.css') ? filename : filename + '.css',
+            type: 'external-css',
+            integrity: link.integrity || null
+          });
+        }
+      });
+
+      if (includeInline) {
+        utils.queryAll('style').forEach((style, index) => {
+          if (style.textContent && style.textContent.trim()) {
+            stylesheets.push({
+              content: style.textContent,
+              filename: `inline_style_${index + 1}.css`,
+              type: 'inline-css',
+              baseUrl: document.baseURI
+            });
+          }
+        });
+      }
+      return stylesheets;
+    },
+
+    // Resource timing entries for everything the page has loaded so far
+    getResourceEntries() {
+      return performance.getEntriesByType('resource').filter(entry => entry.name.startsWith('http'));
+    },
+
+    // Get WebAssembly modules the page has loaded
+    getWasmModules() {
+      const modules = [];
+      scanner.getResourceEntries().forEach(entry => {
+        const filename = utils.getFilenameFromUrl(entry.name);
+        if (filename.toLowerCase().endsWith('.wasm')) {
+          modules.push({ url: entry.name, filename, type: 'wasm' });
+        }
+      });
+      return modules;
+    },
+
+    // Get the web app manifest and .json files the page has loaded
+    getJsonFiles() {
+      const files = [];
+      document.querySelectorAll('link[rel="manifest"][href]').forEach(link => {
+        if (link.href && link.href.startsWith('http')) {
+          files.push({ url: link.href, filename: utils.getFilenameFromUrl(link.href), type: 'external-json' });
+        }
+      });
+      scanner.getResourceEntries().forEach(entry => {
+        const filename = utils.getFilenameFromUrl(entry.name);
+        if (/\.(json|webmanifest)$/i.test(filename)) {
+          files.push({ url: entry.name, filename, type: 'external-json' });
+        }
+      });
+      return files;
+    },
+
+    // Get fetch/XHR responses; the background keeps only those that turn out to be JSON.
+    // They are fetched again with a plain GET, and resource timing doesn't say which method the page
+    // used, so only URLs that look like JSON reads are listed: API and schema paths, without tracking or
+    // write-style endpoints, and GraphQL only when the query travels in the URL (a POST body can't be replayed)
+    getApiResponses() {
+      const word = (names) => new RegExp(`(^|[/._-])(${names})([/._-]|$)`, 'i');
+      const jsonLike = word('api|apis|rest|v\\d+|json|data|graphql|gql|openapi|swagger|schema|config|settings');
+      const sideEffects = word('log|logs|track|tracking|collect|beacon|events?|analytics|metrics|telemetry|pixel|ping|heartbeat'
+        + '|login|logout|signin|signout|sign-in|sign-out|delete|remove|update|create|submit|save|subscribe|unsubscribe|mutate|mutation');
+      const graphql = word('graphql|gql');
+
+      const responses = [];
+      scanner.getResourceEntries().forEach(entry => {
+        if (entry.initiatorType !== 'fetch' && entry.initiatorType !== 'xmlhttprequest') return;
+        if (/\.(json|webmanifest|m?js|css|wasm)$/i.test(utils.getFilenameFromUrl(entry.name))) return;
+
+        const urlObj = new URL(entry.name);
+        if (!jsonLike.test(urlObj.pathname) && !/[?&](format|output|type)=json\b/i.test(urlObj.search)) return;
+        if (sideEffects.test(urlObj.pathname)) return;
+        if (graphql.test(urlObj.pathname) && !/[?&](query|extensions)=/.test(urlObj.search)) return;
+
+        const name = utils.sanitizeFilename(urlObj.pathname.replace(/^\/+|\/+$/g, '').replace(/\//g, '_') || urlObj.hostname);
+        responses.push({
+          url: entry.name,
+          filename: `api_${name}.json`,
+          type: 'api-json'
+        });
+      });
+      return responses;
+    },
+
     // Get current page HTML
     getCurrentPageHtml() {
       const url = window.location.href;
       const filename = utils.getFilenameFromUrl(url) + '.html';
       
+      // about:blank and srcdoc frames exist only as this live document
       return {
-        content: document.documentElement.outerHTML,
+        content: utils.serializeDocument(),
         filename: utils.sanitizeFilename(filename),
         type: 'html',
-        url: url
+        url: location.protocol === 'about:' ? null : url,
+        baseUrl: document.baseURI
       };
     },
 
+    // Links of the document (and its open shadow roots), for the crawler
+    getLinks() {
+      const links = utils.queryAll('a[href], area[href]')
+        .map(link => link.href)
+        .filter(href => /^https?:/i.test(href));
+      return [...new Set(links)];
+    },
+
     // Get iframe HTML sources
     getIframeHtml() {
       const iframes = [];
-      document.querySelectorAll('iframe[src]').forEach((iframe, index) => {
+      utils.queryAll('iframe[src]').forEach((iframe, index) => {
         const src = iframe.src;
         if (src && (src.startsWith('http') || src.startsWith('//'))) {
           let filename = utils.getFilenameFromUrl(src);
@@ -109,6 +529,47 @@
       return iframes;
     },
 
+    // Code built at runtime, as recorded by the main-world hooks (runtime-hooks.js)
+    getRuntimeCode() {
+      let records = [];
+      const receive = (event) => {
+        try {
+          records = JSON.parse(event.detail);
+        } catch {
+          records = [];
+        }
+      };
+
+      // The hooks answer synchronously; without them (option off, page loaded earlier) nothing comes back
+      window.addEventListener('evil-downloader:runtime-records', receive);
+      window.dispatchEvent(new CustomEvent('evil-downloader:runtime-request'));
+      window.removeEventListener('evil-downloader:runtime-records', receive);
+
+      let evalCount = 0;
+      let writeCount = 0;
+      return records.map(record => {
+        const isMarkup = record.sink.startsWith('document.');
+        const calls = record.calls > 1 ? ` (${record.calls} calls)` : '';
+        const truncated = record.truncated ? ' [truncated]' : '';
+        const stack = record.stack.split('\n').filter(Boolean);
+
+        // The sink and call-site stack lead the saved file
+        const comment = (text) => text.replace(/--/g, '- -');
+        const header = isMarkup
+          ? [`<!-- ${record.sink} on ${comment(record.url)}${calls}${truncated}`, ...stack.map(line => `  ${comment(line)}`), '-->']
+          : [`// ${record.sink} on ${record.url}${calls}${truncated}`, ...stack.map(line => `//   ${line}`)];
+
+        return {
+          content: `${header.join('\n')}\n${record.code}`,
+          filename: isMarkup ? `runtime_write_${++writeCount}.html` : `runtime_eval_${++evalCount}.js`,
+          type: isMarkup ? 'runtime-html' : 'runtime-js',
+          sink: record.sink,
+          stack: record.stack,
+          baseUrl: record.url
+        };
+      });
+    },
+
     // Scan all assets
     async scanAllAssets(options = {}) {
       const assets = [];
@@ -116,21 +577,155 @@
       // Add current page HTML
       assets.push(scanner.getCurrentPageHtml());
       
-      // Add external scripts
+      // Add external scripts and preloaded modules
       const externalScripts = scanner.getExternalScripts();
       assets.push(...externalScripts);
+
+      const scriptUrls = new Set(externalScripts.map(script => script.url));
+      assets.push(...scanner.getModulePreloads().filter(module => !scriptUrls.has(module.url)));
+      assets.push(...scanner.getImportMaps());
       
       // Add inline scripts if requested
       if (options.includeInline) {
         const inlineScripts = scanner.getInlineScripts();
         assets.push(...inlineScripts);
+        assets.push(...scanner.getInlineHandlers());
+        assets.push(...scanner.getStateBlobs());
       }
       
       // Add iframe HTML
       const iframes = scanner.getIframeHtml();
       assets.push(...iframes);
-      
-      return assets;
+
+      // Add the active service worker registrations
+      if (options.includeWorkers) {
+        assets.push(...await scanner.getServiceWorkers());
+      }
+
+      // Add the opt-in asset classes
+      if (options.includeCss) {
+        assets.push(...scanner.getStylesheets(options.includeInline));
+      }
+      if (options.includeWasm) {
+        assets.push(...scanner.getWasmModules());
+      }
+      if (options.includeJson) {
+        assets.push(...scanner.getJsonFiles());
+      }
+      if (options.includeApiResponses) {
+        assets.push(...scanner.getApiResponses());
+      }
+      if (options.hookRuntimeCode) {
+        assets.push(...scanner.getRuntimeCode());
+      }
+
+      // The same resource can be found by more than one scanner
+      const seen = new Set();
+      return assets.filter(asset => {
+        if (!asset.url) return true;
+        if (seen.has(asset.url)) return false;
+        seen.add(asset.url);
+        return true;
+      });
+    }
+  };
+
+  // Recording mode - reports scripts added after load (loaders, route changes, import())
+  const recorder = {
+    active: false,
+    seen: new Set(),
+    pending: [],
+    flushTimer: null,
+    mutationObserver: null,
+    performanceObserver: null,
+
+    isScriptUrl(url) {
+      try {
+        return /\.m?js$/i.test(new URL(url).pathname);
+      } catch {
+        return false;
+      }
+    },
+
+    queue(resource) {
+      const key = resource.url || resource.content;
+      if (!key || this.seen.has(key)) return;
+      this.seen.add(key);
+      this.pending.push(resource);
+
+      // Batch reports so a burst of chunk loads becomes a single message
+      if (!this.flushTimer) {
+        this.flushTimer = setTimeout(() => this.flush(), 500);
+      }
+    },
+
+    flush() {
+      this.flushTimer = null;
+      if (this.pending.length === 0) return;
+
+      const resources = this.pending;
+      this.pending = [];
+      chrome.runtime.sendMessage({ action: 'recordResources', resources }, () => {
+        // Ignore a missing receiver; the background worker may be restarting
+        void chrome.runtime.lastError;
+      });
+    },
+
+    recordScriptElement(script) {
+      if (script.src && (script.src.startsWith('http') || script.src.startsWith('//'))) {
+        this.queue({ url: script.src });
+      } else if (!script.src && script.textContent && script.textContent.trim()) {
+        this.queue({ content: script.textContent });
+      }
+    },
+
+    recordResourceEntry(entry) {
+      if (entry.initiatorType === 'script' || this.isScriptUrl(entry.name)) {
+        this.queue({ url: entry.name });
+      }
+    },
+
+    start() {
+      if (this.active) return;
+      this.active = true;
+
+      // Scripts already in the document, then everything added from now on
+      document.querySelectorAll('script').forEach(script => this.recordScriptElement(script));
+
+      this.mutationObserver = new MutationObserver(mutations => {
+        mutations.forEach(mutation => {
+          mutation.addedNodes.forEach(node => {
+            if (node.nodeName === 'SCRIPT') {
+              this.recordScriptElement(node);
+            } else if (node.querySelectorAll) {
+              node.querySelectorAll('script').forEach(script => this.recordScriptElement(script));
+            }
+          });
+        });
+      });
+      this.mutationObserver.observe(document.documentElement, { childList: true, subtree: true });
+
+      // Resource timing also sees import() and fetch-evaluated scripts that never become elements
+      performance.getEntriesByType('resource').forEach(entry => this.recordResourceEntry(entry));
+      if (typeof PerformanceObserver !== 'undefined') {
+        this.performanceObserver = new PerformanceObserver(list => {
+          list.getEntries().forEach(entry => this.recordResourceEntry(entry));
+        });
+        this.performanceObserver.observe({ type: 'resource' });
+      }
+
+      console.log('Recording script loads');
+    },
+
+    stop() {
+      if (!this.active) return;
+      this.active = false;
+
+      if (this.mutationObserver) this.mutationObserver.disconnect();
+      if (this.performanceObserver) this.performanceObserver.disconnect();
+      this.mutationObserver = null;
+      this.performanceObserver = null;
+      this.flush();
     }
   };
 
@@ -149,6 +744,11 @@
       return true;
     }
     
+    if (request.action === 'getLinks') {
+      sendResponse({ success: true, links: scanner.getLinks() });
+      return;
+    }
+
     if (request.action === 'fetchContent') {
       utils.fetchFileContent(request.url)
         .then(content => {
@@ -160,6 +760,24 @@
       
       return true;
     }
+
+    if (request.action === 'startRecording') {
+      recorder.start();
+      sendResponse({ success: true });
+    }
+
+    if (request.action === 'stopRecording') {
+      recorder.stop();
+      sendResponse({ success: true });
+    }
+  });
+
+  // Resume recording if it was enabled for this tab before the document loaded
+  chrome.runtime.sendMessage({ action: 'getRecordingStatus' }, (response) => {
+    if (chrome.runtime.lastError) return;
+    if (response && response.recording) {
+      recorder.start();
+    }
   });
 
   // Log that content script is loaded
@@ -0,0 +1,6 @@
+// DevTools page for Page Assets Downloader - adds the network capture panel
+(() => {
+  'use strict';
+
+  chrome.devtools.panels.create('evil downloader', 'icon16.png', 'panel.html');
+})();
@@ -0,0 +1,12 @@
+// Offscreen document for Page Assets Downloader - Chrome's service worker can't start workers itself,
+// so it hands beautification over to the pool running here
+(() => {
+  'use strict';
+
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.target !== 'offscreen' || request.action !== 'beautify') return;
+
+    beautifyPool.run(request.task, request.timeout).then(sendResponse);
+    return true;
+  });
+})();
@@ -0,0 +1,204 @@
+// Options page for Page Assets Downloader - beautifier profiles and capture defaults
+(() => {
+  'use strict';
+
+  // DOM elements
+  const profileSelect = document.getElementById('profileSelect');
+  const activateBtn = document.getElementById('activateBtn');
+  const saveBtn = document.getElementById('saveBtn');
+  const profileNameInput = document.getElementById('profileName');
+  const saveAsBtn = document.getElementById('saveAsBtn');
+  const deleteBtn = document.getElementById('deleteBtn');
+  const profileSections = document.getElementById('profileSections');
+  const defaultsFieldset = document.getElementById('defaults');
+  const statusDiv = document.getElementById('status');
+
+  const sectionTitles = { js: 'javascript', css: 'css', html: 'html' };
+
+  // Same wording as the popup checkboxes
+  const captureLabels = {
+    prettifyJs: 'prettify javascript, html, css & json files',
+    deobfuscate: 'deobfuscate scripts (packers, string arrays)',
+    includeInline: 'include inline scripts, handlers & state json',
+    resolveSourceMaps: 'rebuild sources from source maps',
+    includeWorkers: 'include worker & service worker scripts',
+    includeCss: 'include stylesheets (+ @import chains)',
+    includeWasm: 'include WebAssembly modules',
+    includeJson: 'include JSON & web app manifest',
+    includeApiResponses: 'include fetch/XHR JSON responses',
+    hookRuntimeCode: 'hook Function, string timers & document.write (reload page)',
+    hookEval: 'also hook eval (turns direct eval into global eval)',
+    followModules: 'follow ES module imports',
+    includeChunks: 'fetch lazy chunks (webpack/vite/next)',
+    reconReport: 'write recon report (endpoints & secrets)',
+    fingerprintLibraries: 'fingerprint libraries & flag known CVEs',
+    skipLibraries: 'skip recognized vendor libraries',
+    trackChanges: 'remember capture for compare',
+    archive: 'bundle capture into one zip',
+    layout: 'layout'
+  };
+  const layoutChoices = { flat: 'flat folder', mirror: 'mirror host/path' };
+
+  const ui = {
+    showStatus(message, type = 'info') {
+      statusDiv.textContent = message;
+      statusDiv.className = `status ${type}`;
+    },
+
+    element(tag, className, text) {
+      const node = document.createElement(tag);
+      if (className) node.className = className;
+      if (text !== undefined) node.textContent = text;
+      return node;
+    },
+
+    // A labelled input for one setting; `choices` maps option values to their labels
+    input(field, value) {
+      let input;
+      if (field.type === 'boolean') {
+        input = this.element('input');
+        input.type = 'checkbox';
+        input.checked = Boolean(value);
+      } else if (field.type === 'number') {
+        input = this.element('input');
+        input.type = 'number';
+        input.min = '0';
+        input.value = value;
+      } else {
+        input = this.element('select');
+        Object.entries(field.choices).forEach(([choice, label]) => input.append(new Option(label, choice)));
+        input.value = value;
+      }
+      input.dataset.key = field.key;
+      input.dataset.type = field.type;
+
+      const label = this.element('label', 'field');
+      label.append(this.element('span', null, field.label), input);
+      return label;
+    },
+
+    readInput(input) {
+      if (input.dataset.type === 'boolean') return input.checked;
+      if (input.dataset.type === 'number') return Math.max(0, parseInt(input.value, 10) || 0);
+      return input.value;
+    }
+  };
+
+  // Beautifier profile editor
+  const profileEditor = {
+    profiles: {},
+    activeProfile: null,
+
+    async load(selected) {
+      const { profiles, activeProfile } = await extensionSettings.loadProfiles();
+      this.profiles = profiles;
+      this.activeProfile = activeProfile;
+
+      profileSelect.replaceChildren(...Object.keys(profiles).map(name =>
+        new Option(name + (name === activeProfile ? ' (active)' : ''), name)));
+      profileSelect.value = profiles[selected] ? selected : activeProfile;
+      this.render();
+    },
+
+    render() {
+      const name = profileSelect.value;
+      const profile = this.profiles[name];
+      profileSections.replaceChildren(...Object.entries(extensionSettings.profileFields).map(([section, fields]) => {
+        const fieldset = ui.element('fieldset');
+        fieldset.dataset.section = section;
+        fieldset.append(ui.element('legend', null, sectionTitles[section]));
+        fields.forEach(field => {
+          const choices = field.choices ? Object.fromEntries(field.choices.map(choice => [choice, choice])) : null;
+          fieldset.append(ui.input({ ...field, choices }, profile[section][field.key]));
+        });
+        return fieldset;
+      }));
+
+      activateBtn.disabled = name === this.activeProfile;
+      deleteBtn.textContent = extensionSettings.isBuiltIn(name) ? 'reset' : 'delete';
+    },
+
+    // Current form values as a profile
+    read() {
+      const profile = {};
+      profileSections.querySelectorAll('fieldset').forEach(fieldset => {
+        profile[fieldset.dataset.section] = {};
+        fieldset.querySelectorAll('[data-key]').forEach(input => {
+          profile[fieldset.dataset.section][input.dataset.key] = ui.readInput(input);
+        });
+      });
+      return profile;
+    },
+
+    async save(name) {
+      await extensionSettings.saveProfile(name, this.read());
+      await this.load(name);
+      ui.showStatus(`Saved profile "${name}"`, 'success');
+    },
+
+    async saveAs() {
+      const name = profileNameInput.value.trim();
+      if (!name) {
+        ui.showStatus('Enter a name for the new profile', 'error');
+        return;
+      }
+      await this.save(name);
+      profileNameInput.value = '';
+    },
+
+    async remove() {
+      const name = profileSelect.value;
+      const builtIn = extensionSettings.isBuiltIn(name);
+      await extensionSettings.deleteProfile(name);
+      await this.load(builtIn ? name : null);
+      ui.showStatus(builtIn ? `Restored the shipped "${name}" profile` : `Deleted profile "${name}"`, 'success');
+    },
+
+    async activate() {
+      const name = profileSelect.value;
+      await extensionSettings.setActiveProfile(name);
+      await this.load(name);
+      ui.showStatus(`"${name}" is now the active profile`, 'success');
+    }
+  };
+
+  // Capture defaults - the same keys the popup stores its checkboxes under
+  const defaultsEditor = {
+    async load() {
+      const items = await chrome.storage.sync.get(extensionSettings.captureDefaults);
+      defaultsFieldset.replaceChildren(...Object.keys(extensionSettings.captureDefaults).map(key => {
+        const field = key === 'layout'
+          ? { key, type: 'select', label: captureLabels[key], choices: layoutChoices }
+          : { key, type: 'boolean', label: captureLabels[key] || key };
+        return ui.input(field, items[key]);
+      }));
+
+      // Checkboxes read better with the box first
+      defaultsFieldset.querySelectorAll('input[type="checkbox"]').forEach(input => input.parentNode.prepend(input));
+    },
+
+    async save(input) {
+      await chrome.storage.sync.set({ [input.dataset.key]: ui.readInput(input) });
+      ui.showStatus('Capture defaults saved', 'success');
+    }
+  };
+
+  const report = (action) => () => {
+    action().catch(error => {
+      console.error('Options update failed:', error);
+      ui.showStatus(`Error: ${error.message}`, 'error');
+    });
+  };
+
+  profileSelect.addEventListener('change', () => profileEditor.render());
+  activateBtn.addEventListener('click', report(() => profileEditor.activate()));
+  saveBtn.addEventListener('click', report(() => profileEditor.save(profileSelect.value)));
+  saveAsBtn.addEventListener('click', report(() => profileEditor.saveAs()));
+  deleteBtn.addEventListener('click', report(() => profileEditor.remove()));
+  defaultsFieldset.addEventListener('change', (event) => report(() => defaultsEditor.save(event.target))());
+
+  document.addEventListener('DOMContentLoaded', report(async () => {
+    await profileEditor.load();
+    await defaultsEditor.load();
+  }));
+})();
@@ -0,0 +1,279 @@
+// DevTools panel for Page Assets Downloader - saves responses exactly as the browser received them
+(() => {
+  'use strict';
+
+  // DOM elements
+  const exportBtn = document.getElementById('exportBtn');
+  const cancelBtn = document.getElementById('cancelBtn');
+  const clearBtn = document.getElementById('clearBtn');
+  const preserveLogCheckbox = document.getElementById('preserveLog');
+  const countSpan = document.getElementById('count');
+  const statusDiv = document.getElementById('status');
+  const responsesBody = document.getElementById('responses');
+
+  const ui = {
+    renderPending: false,
+
+    showStatus(message, type = 'info') {
+      statusDiv.textContent = message;
+      statusDiv.className = `status ${type}`;
+    },
+
+    formatSize(bytes) {
+      if (bytes < 1024) return `${bytes} B`;
+      if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    },
+
+    // Bursts of finished requests are drawn once per frame
+    render() {
+      if (this.renderPending) return;
+      this.renderPending = true;
+      requestAnimationFrame(() => {
+        this.renderPending = false;
+        const bodies = [...network.bodies.values()];
+        responsesBody.replaceChildren(...bodies.map(body => {
+          const row = document.createElement('tr');
+          [body.kind, body.status, this.formatSize(body.size), body.url].forEach((value, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            if (index === 3) {
+              cell.className = 'url';
+              cell.title = body.url;
+            }
+            row.append(cell);
+          });
+          return row;
+        }));
+        countSpan.textContent = `${bodies.length} response${bodies.length === 1 ? '' : 's'} · ${network.entries.length} requests logged`;
+        exportBtn.disabled = bodies.length === 0 || exporter.port !== null;
+      });
+    }
+  };
+
+  // Network log of the inspected tab, with the bodies of its script and document responses
+  const network = {
+    maxEntries: 5000,
+    entries: [],
+    // Latest response per URL
+    bodies: new Map(),
+
+    // DevTools resource type where the browser reports one (Chrome), otherwise the MIME type
+    kindOf(entry) {
+      const resourceType = entry._resourceType;
+      if (resourceType) {
+        return resourceType === 'script' || resourceType === 'document' ? resourceType : null;
+      }
+      const mimeType = entry.response.content.mimeType || '';
+      if (/(java|ecma)script/i.test(mimeType)) return 'script';
+      if (/html/i.test(mimeType)) return 'document';
+      return null;
+    },
+
+    add(entry) {
+      this.entries.push(entry);
+      if (this.entries.length > this.maxEntries) {
+        this.entries.shift();
+      }
+      ui.render();
+
+      const url = entry.request.url;
+      const kind = this.kindOf(entry);
+      if (!kind || !/^https?:/i.test(url) || typeof entry.getContent !== 'function') return;
+
+      entry.getContent((content, encoding) => {
+        // Redirects and bodies DevTools has already evicted come back empty
+        if (content === null || content === undefined) return;
+        const text = encoding === 'base64' ? this.decodeBase64(content) : content;
+        this.bodies.set(url, {
+          url,
+          kind,
+          status: entry.response.status,
+          mimeType: entry.response.content.mimeType || '',
+          content: text,
+          size: new Blob([text]).size
+        });
+        ui.render();
+      });
+    },
+
+    decodeBase64(content) {
+      const bytes = Uint8Array.from(atob(content), char => char.charCodeAt(0));
+      return new TextDecoder().decode(bytes);
+    },
+
+    clear() {
+      this.entries = [];
+      this.bodies.clear();
+      ui.render();
+    },
+
+    // HAR 1.2 of the whole log. Saved bodies aren't repeated in it: their entries name the file
+    // exported next to the HAR instead, from files (URL -> filename)
+    toHar(files) {
+      const entries = this.entries.map(entry => {
+        const copy = JSON.parse(JSON.stringify(entry));
+        const file = files.get(entry.request.url);
+        if (file) {
+          copy.response.content = { ...copy.response.content, _file: file };
+        }
+        return copy;
+      });
+
+      return {
+        log: {
+          version: '1.2',
+          creator: { name: 'evil downloader', version: chrome.runtime.getManifest().version },
+          comment: 'Response bodies are saved as separate files; content._file names the file of each entry',
+          pages: [],
+          entries
+        }
+      };
+    }
+  };
+
+  // Exports run as a capture job of the inspected tab, over the same port as the popup's captures
+  const exporter = {
+    port: null,
+
+    getPageUrl() {
+      return new Promise(resolve => {
+        chrome.devtools.inspectedWindow.eval('location.href', (result, error) => resolve(error ? null : result));
+      });
+    },
+
+    // Same naming as the content script's scanner
+    filenameFor(url, extension) {
+      let filename;
+      try {
+        const urlObj = new URL(url);
+        filename = urlObj.pathname.split('/').pop() || urlObj.hostname + '_index';
+      } catch {
+        filename = 'unknown_file';
+      }
+      return filename.endsWith(extension) ? filename : filename + extension;
+    },
+
+    // The HAR points at bodies by filename, so every file gets a name of its own (app.js, app_2.js, …)
+    uniqueName(filename, taken) {
+      const dot = filename.lastIndexOf('.');
+      const base = dot > 0 ? filename.substring(0, dot) : filename;
+      const extension = dot > 0 ? filename.substring(dot) : '';
+      let name = filename;
+      for (let count = 2; taken.has(name); count++) {
+        name = `${base}_${count}${extension}`;
+      }
+      taken.add(name);
+      return name;
+    },
+
+    // Resolves with the job's done or cancelled message
+    run(message) {
+      return new Promise((resolve, reject) => {
+        this.port = chrome.runtime.connect({ name: 'capture' });
+        const finish = () => {
+          this.port.disconnect();
+          this.port = null;
+          cancelBtn.hidden = true;
+        };
+        this.port.onMessage.addListener(reply => {
+          if (reply.type === 'progress') {
+            ui.showStatus(`Exporting ${reply.done}/${reply.total}…`);
+          } else if (reply.type === 'done' || reply.type === 'cancelled') {
+            finish();
+            resolve(reply);
+          } else if (reply.type === 'error') {
+            finish();
+            reject(new Error(reply.error || 'Download failed'));
+          }
+        });
+        this.port.onDisconnect.addListener(() => {
+          if (this.port) {
+            this.port = null;
+            cancelBtn.hidden = true;
+            reject(new Error('Lost the connection to the background script'));
+          }
+        });
+        cancelBtn.hidden = false;
+        this.port.postMessage(message);
+      });
+    },
+
+    cancel() {
+      if (this.port) {
+        this.port.postMessage({ action: 'cancel', tabId: chrome.devtools.inspectedWindow.tabId });
+      }
+    },
+
+    async export() {
+      const pageUrl = await this.getPageUrl();
+      const taken = new Set();
+      const assets = [...network.bodies.values()].map(body => {
+        const isDocument = body.kind === 'document';
+        return {
+          url: body.url,
+          filename: this.uniqueName(this.filenameFor(body.url, isDocument ? '.html' : '.js'), taken),
+          type: isDocument ? (body.url === pageUrl ? 'html' : 'iframe-html') : 'external-js',
+          content: body.content
+        };
+      });
+
+      let host = 'network';
+      try {
+        host = new URL(pageUrl).hostname || host;
+      } catch {
+        // Keep the generic name
+      }
+      const files = new Map(assets.map(asset => [asset.url, asset.filename]));
+      assets.push({ content: JSON.stringify(network.toHar(files), null, 2), filename: this.uniqueName(`${host}.har`, taken), type: 'har' });
+
+      // The log already holds everything the page loaded, so nothing is fetched again to expand it. Files
+      // stay side by side (flat layout) so the HAR's filenames lead to them
+      const stored = await chrome.storage.sync.get(extensionSettings.captureDefaults);
+      const options = { ...stored, layout: 'flat', followModules: false, includeChunks: false, includeWorkers: false, includeCss: false };
+
+      ui.showStatus(`Exporting ${assets.length - 1} responses and the HAR…`);
+      const tabId = chrome.devtools.inspectedWindow.tabId;
+      const response = await this.run({ action: 'start', tabId, assets, options, pageUrl });
+      if (response.type === 'cancelled') {
+        ui.showStatus(`Cancelled at ${response.done}/${response.total}`, 'error');
+        return;
+      }
+
+      const { summary, archive } = response;
+      const target = archive ? ` into ${archive.filename}` : '';
+      if (summary.failed === 0) {
+        ui.showStatus(`Saved ${summary.successful} file${summary.successful === 1 ? '' : 's'}${target}`, 'success');
+      } else {
+        ui.showStatus(`Saved ${summary.successful} file${summary.successful === 1 ? '' : 's'}${target}, ${summary.failed} failed`, 'error');
+      }
+    }
+  };
+
+  exportBtn.addEventListener('click', () => {
+    exportBtn.disabled = true;
+    exporter.export()
+      .catch(error => {
+        console.error('Export failed:', error);
+        ui.showStatus(`Error: ${error.message}`, 'error');
+      })
+      .finally(() => ui.render());
+  });
+  cancelBtn.addEventListener('click', () => exporter.cancel());
+  clearBtn.addEventListener('click', () => {
+    network.clear();
+    ui.showStatus('');
+  });
+
+  chrome.devtools.network.onNavigated.addListener(() => {
+    if (!preserveLogCheckbox.checked) {
+      network.clear();
+    }
+  });
+
+  // Requests made before the panel was first opened, then everything from now on
+  chrome.devtools.network.getHAR(har => {
+    ((har && har.entries) || []).forEach(entry => network.add(entry));
+    chrome.devtools.network.onRequestFinished.addListener(entry => network.add(entry));
+  });
+})();
@@ -4,10 +4,55 @@
 
   // DOM elements
   const downloadBtn = document.getElementById('downloadBtn');
+  const progressDiv = document.getElementById('progress');
+  const progressBar = document.getElementById('progressBar');
+  const progressText = document.getElementById('progressText');
+  const captureBtn = document.getElementById('captureBtn');
+  const pickerDiv = document.getElementById('picker');
+  const pickerSearch = document.getElementById('pickerSearch');
+  const pickerType = document.getElementById('pickerType');
+  const pickerDomain = document.getElementById('pickerDomain');
+  const pickerToggle = document.getElementById('pickerToggle');
+  const pickerSummary = document.getElementById('pickerSummary');
+  const pickerRescan = document.getElementById('pickerRescan');
+  const pickerList = document.getElementById('pickerList');
+  const recordBtn = document.getElementById('recordBtn');
+  const sessionBtn = document.getElementById('sessionBtn');
+  const compareBtn = document.getElementById('compareBtn');
+  const windowBtn = document.getElementById('windowBtn');
+  const crawlDepthInput = document.getElementById('crawlDepth');
+  const crawlPagesInput = document.getElementById('crawlPages');
+  const crawlIncludeInput = document.getElementById('crawlInclude');
+  const crawlExcludeInput = document.getElementById('crawlExclude');
+  const crawlBtn = document.getElementById('crawlBtn');
+  const watchDetails = document.getElementById('watch');
+  const watchBtn = document.getElementById('watchBtn');
+  const watchInterval = document.getElementById('watchInterval');
+  const watchListUl = document.getElementById('watchList');
+  const changeLogUl = document.getElementById('changeLog');
   const statusDiv = document.getElementById('status');
   const fileCountDiv = document.getElementById('fileCount');
   const prettifyJsCheckbox = document.getElementById('prettifyJs');
+  const deobfuscateCheckbox = document.getElementById('deobfuscate');
   const includeInlineCheckbox = document.getElementById('includeInline');
+  const resolveSourceMapsCheckbox = document.getElementById('resolveSourceMaps');
+  const includeWorkersCheckbox = document.getElementById('includeWorkers');
+  const includeCssCheckbox = document.getElementById('includeCss');
+  const includeWasmCheckbox = document.getElementById('includeWasm');
+  const includeJsonCheckbox = document.getElementById('includeJson');
+  const includeApiResponsesCheckbox = document.getElementById('includeApiResponses');
+  const hookRuntimeCodeCheckbox = document.getElementById('hookRuntimeCode');
+  const hookEvalCheckbox = document.getElementById('hookEval');
+  const followModulesCheckbox = document.getElementById('followModules');
+  const includeChunksCheckbox = document.getElementById('includeChunks');
+  const reconReportCheckbox = document.getElementById('reconReport');
+  const fingerprintLibrariesCheckbox = document.getElementById('fingerprintLibraries');
+  const skipLibrariesCheckbox = document.getElementById('skipLibraries');
+  const trackChangesCheckbox = document.getElementById('trackChanges');
+  const archiveCheckbox = document.getElementById('archive');
+  const layoutSelect = document.getElementById('layout');
+  const profileSelect = document.getElementById('profile');
+  const optionsBtn = document.getElementById('optionsBtn');
 
   // Utility functions
   const ui = {
@@ -33,6 +78,383 @@
     setDownloadButtonState(enabled, text = '📥 Download Assets') {
       downloadBtn.disabled = !enabled;
       downloadBtn.textContent = text;
+    },
+
+    // Live progress of the tab's capture; the button cancels a running one and resumes a cancelled one
+    showProgress(state, text, done = 0, total = 0) {
+      progressDiv.hidden = false;
+      progressText.textContent = text;
+      if (total > 0) {
+        progressBar.max = total;
+        progressBar.value = done;
+      } else {
+        // Indeterminate while assets are still being discovered
+        progressBar.removeAttribute('value');
+      }
+      captureBtn.textContent = state === 'cancelled' ? '▶ resume' : '✖ cancel';
+      captureBtn.disabled = state === 'cancelling';
+    },
+
+    hideProgress() {
+      progressDiv.hidden = true;
+    },
+
+    showRecordingState(status) {
+      recordBtn.textContent = status.recording ? '⏹ stop' : '⏺ record';
+      recordBtn.classList.toggle('active', status.recording);
+      sessionBtn.textContent = `💾 session (${status.count})`;
+      sessionBtn.disabled = status.count === 0;
+    },
+
+    showDownloadResult(result) {
+      if (result.cancelled) {
+        const where = result.tabs ? ` of tab ${result.tab}/${result.tabs}` : '';
+        this.showStatus(`Cancelled after ${result.done}/${result.total} files${where}; resume to download the rest`, 'error');
+        return;
+      }
+      if (result.hosts) {
+        this.showWindowResult(result.hosts);
+        return;
+      }
+      const { summary, archive } = result;
+      const crawled = result.pages ? result.pages.filter(page => !page.error).length : 0;
+      const sourcesNote = (crawled > 0 ? ` from ${crawled} page${crawled === 1 ? '' : 's'}` : '')
+        + (summary.sources > 0 ? ` + ${summary.sources} original source${summary.sources === 1 ? '' : 's'}` : '')
+        + (summary.deobfuscated > 0 ? `, ${summary.deobfuscated} deobfuscated` : '')
+        + (summary.unformatted > 0 ? `, ${summary.unformatted} left unformatted (reasons in manifest.json)` : '')
+        + (summary.findings > 0 ? `, ${summary.findings} recon finding${summary.findings === 1 ? '' : 's'}` : '')
+        + (summary.libraries > 0 ? `, ${summary.libraries} librar${summary.libraries === 1 ? 'y' : 'ies'} identified` : '')
+        + (summary.vulnerable > 0 ? ` (${summary.vulnerable} with known CVEs, see libraries.md)` : '')
+        + (summary.skipped > 0 ? `, ${summary.skipped} skipped` : '')
+        + (summary.integrityFailed > 0 ? `, ${summary.integrityFailed} not matching their integrity hash (see manifest.json)` : '');
+      if (archive && summary.failed === 0) {
+        this.showStatus(`Archived ${summary.successful} file${summary.successful === 1 ? '' : 's'}${sourcesNote} into ${archive.filename}`, 'success');
+      } else if (summary.failed === 0) {
+        this.showStatus(`Successfully downloaded ${summary.successful} file${summary.successful === 1 ? '' : 's'}${sourcesNote}!`, 'success');
+      } else {
+        this.showStatus(`Downloaded ${summary.successful}/${summary.total} files${sourcesNote} (${summary.failed} failed)`, 'error');
+      }
+    },
+
+    // One line per host of a window capture
+    showWindowResult(hosts) {
+      if (hosts.length === 0) {
+        this.showStatus('No web pages open in this window', 'error');
+        return;
+      }
+      const failed = hosts.some(group => group.failed > 0 || group.errors.length > 0);
+      this.showStatus(hosts.map(group => {
+        const problems = group.failed + group.errors.length;
+        return `${group.host}: ${group.successful} file${group.successful === 1 ? '' : 's'} from ${group.tabs} tab${group.tabs === 1 ? '' : 's'}${problems > 0 ? ` (${problems} failed)` : ''}`;
+      }).join('\n'), failed ? 'error' : 'success');
+    }
+  };
+
+  // Asset picker - review scanned assets and choose what to download
+  const picker = {
+    assets: null,
+    selected: new Set(),
+    sizes: new Map(),
+    // Indexes whose size is the transfer size from a HEAD request rather than the fetched size
+    transferSizes: new Set(),
+    // Size line of each rendered row, updated in place as sizes come in
+    metas: new Map(),
+
+    isOpen() {
+      return this.assets !== null;
+    },
+
+    getOrigin(asset) {
+      if (!asset.url) return 'inline';
+      try {
+        return new URL(asset.url).host;
+      } catch {
+        return 'unknown';
+      }
+    },
+
+    formatSize(bytes) {
+      if (bytes === undefined) return '…';
+      if (bytes === null) return 'unavailable';
+      if (bytes < 1024) return `${bytes} B`;
+      if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+      return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    },
+
+    describe(index) {
+      const asset = this.assets[index];
+      const size = this.formatSize(this.sizes.get(index));
+      return `${asset.type} · ${this.getOrigin(asset)} · ${size}${this.transferSizes.has(index) ? ' transfer' : ''}`;
+    },
+
+    fillSelect(select, values, label) {
+      select.replaceChildren(new Option(label, ''), ...[...new Set(values)].sort().map(value => new Option(value, value)));
+    },
+
+    show(assets) {
+      this.assets = assets;
+      this.selected = new Set(assets.map((asset, index) => index));
+      this.sizes = new Map();
+      this.transferSizes = new Set();
+
+      // Inline content is measured locally; external files are probed by the background worker
+      const encoder = new TextEncoder();
+      assets.forEach((asset, index) => {
+        if (asset.content) {
+          this.sizes.set(index, encoder.encode(asset.content).length);
+        }
+      });
+
+      pickerSearch.value = '';
+      this.fillSelect(pickerType, assets.map(asset => asset.type), 'all types');
+      this.fillSelect(pickerDomain, assets.map(asset => this.getOrigin(asset)), 'all domains');
+      pickerDiv.hidden = false;
+
+      this.render();
+      this.measure();
+    },
+
+    close() {
+      this.assets = null;
+      this.selected.clear();
+      pickerDiv.hidden = true;
+      pickerList.replaceChildren();
+      this.metas.clear();
+      ui.showFileCount(0);
+      ui.setDownloadButtonState(true);
+    },
+
+    isVisible(asset) {
+      const search = pickerSearch.value.trim().toLowerCase();
+      if (pickerType.value && asset.type !== pickerType.value) return false;
+      if (pickerDomain.value && this.getOrigin(asset) !== pickerDomain.value) return false;
+      if (search && !`${asset.filename} ${asset.url || ''}`.toLowerCase().includes(search)) return false;
+      return true;
+    },
+
+    visibleIndexes() {
+      return this.assets
+        .map((asset, index) => index)
+        .filter(index => this.isVisible(this.assets[index]));
+    },
+
+    render() {
+      const visible = this.visibleIndexes();
+
+      this.metas.clear();
+      pickerList.replaceChildren(...visible.map(index => {
+        const asset = this.assets[index];
+        const item = document.createElement('li');
+        item.title = asset.url || asset.filename;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = this.selected.has(index);
+        checkbox.addEventListener('change', () => {
+          if (checkbox.checked) {
+            this.selected.add(index);
+          } else {
+            this.selected.delete(index);
+          }
+          this.updateSummary();
+        });
+
+        const text = document.createElement('div');
+        const name = document.createElement('div');
+        name.className = 'name';
+        name.textContent = asset.frame ? `${asset.frame.path}/${asset.filename}` : asset.filename;
+        const meta = document.createElement('div');
+        meta.className = 'meta';
+        meta.textContent = this.describe(index);
+        this.metas.set(index, meta);
+        text.append(name, meta);
+
+        item.append(checkbox, text);
+        return item;
+      }));
+
+      pickerToggle.checked = visible.length > 0 && visible.every(index => this.selected.has(index));
+      this.updateSummary();
+    },
+
+    updateSummary() {
+      const visible = this.visibleIndexes();
+      pickerSummary.textContent = `${this.selected.size}/${this.assets.length} selected${visible.length < this.assets.length ? `, ${visible.length} shown` : ''}`;
+      ui.setDownloadButtonState(this.selected.size > 0, `📥 Download ${this.selected.size} selected`);
+    },
+
+    toggleVisible(checked) {
+      this.visibleIndexes().forEach(index => {
+        if (checked) {
+          this.selected.add(index);
+        } else {
+          this.selected.delete(index);
+        }
+      });
+      this.render();
+    },
+
+    getSelected() {
+      return this.assets.filter((asset, index) => this.selected.has(index));
+    },
+
+    // Probe sizes a few at a time so the list fills in progressively
+    async measure() {
+      const assets = this.assets;
+      const { id: tabId } = await downloader.getCurrentTab();
+      const pending = assets
+        .map((asset, index) => index)
+        .filter(index => !this.sizes.has(index));
+
+      const worker = async () => {
+        while (pending.length > 0 && this.assets === assets) {
+          const index = pending.shift();
+          const response = await new Promise(resolve => {
+            chrome.runtime.sendMessage({ action: 'measureAsset', tabId, url: assets[index].url }, (response) => {
+              resolve(!chrome.runtime.lastError && response && response.success ? response : null);
+            });
+          });
+          if (this.assets !== assets) return;
+          this.sizes.set(index, response ? response.size : null);
+          if (response && response.transfer && response.size !== null) {
+            this.transferSizes.add(index);
+          }
+          // Only the row of this asset changes, if it is shown
+          const meta = this.metas.get(index);
+          if (meta) {
+            meta.textContent = this.describe(index);
+          }
+        }
+      };
+
+      await Promise.all([worker(), worker(), worker(), worker()]);
+    }
+  };
+
+  // The tab's capture runs in the background and reports over a long-lived port, so it keeps going
+  // when the popup closes and a reopened popup follows it again
+  const captureJob = {
+    port: null,
+    tabId: null,
+    windowId: null,
+    state: 'idle',
+    // Settles the promise of the download or resume started from this popup
+    pending: null,
+
+    // Attaches to the tab's capture, or to a capture of all tabs in its window
+    connect(tab) {
+      this.tabId = tab.id;
+      this.windowId = tab.windowId;
+      this.port = chrome.runtime.connect({ name: 'capture' });
+      this.port.onMessage.addListener(message => this.handle(message));
+      this.port.onDisconnect.addListener(() => {
+        this.port = null;
+      });
+      this.port.postMessage({ action: 'attach', tabId: this.tabId, windowId: this.windowId });
+    },
+
+    // Resolves with the finished capture, or with { cancelled, done, total } when it is cancelled
+    send(message) {
+      if (!this.port) {
+        return Promise.reject(new Error('Lost the connection to the background script'));
+      }
+      return new Promise((resolve, reject) => {
+        this.pending = { resolve, reject };
+        this.port.postMessage({ ...message, tabId: this.tabId, windowId: this.windowId });
+      });
+    },
+
+    start(request) {
+      this.state = 'running';
+      ui.showProgress('running', 'Starting…');
+      return this.send({ action: 'start', ...request });
+    },
+
+    crawl(request) {
+      this.state = 'running';
+      ui.showProgress('running', 'Starting crawl…');
+      return this.send({ action: 'crawl', ...request });
+    },
+
+    captureWindow() {
+      this.state = 'running';
+      ui.showProgress('running', 'Capturing every tab in this window…');
+      return this.send({ action: 'captureWindow' });
+    },
+
+    resume() {
+      return this.send({ action: 'resume' });
+    },
+
+    cancel() {
+      if (this.port) {
+        this.port.postMessage({ action: 'cancel', tabId: this.tabId, windowId: this.windowId });
+      }
+    },
+
+    handle(message) {
+      switch (message.type) {
+        case 'state':
+          this.state = message.state;
+          ui.showProgress(message.state, this.describe(message), message.done, message.total);
+          if (message.state !== 'cancelled') {
+            ui.setDownloadButtonState(false, '📥 Downloading...');
+          }
+          break;
+        case 'phase':
+          ui.showProgress(this.state, message.message);
+          break;
+        case 'progress': {
+          const { result } = message;
+          const outcome = result.skipped ? 'skipped' : result.success ? 'saved' : 'failed';
+          ui.showProgress(this.state, `${message.done}/${message.total} · ${outcome} ${result.filename}`, message.done, message.total);
+          break;
+        }
+        case 'cancelled':
+          this.state = 'cancelled';
+          ui.showProgress('cancelled', this.describe({ ...message, state: 'cancelled' }), message.done, message.total);
+          this.settle({ success: true, cancelled: true, done: message.done, total: message.total, tab: message.tab, tabs: message.tabs });
+          break;
+        case 'done':
+          this.state = 'idle';
+          ui.hideProgress();
+          this.settle({ success: true, ...message });
+          break;
+        case 'error':
+          this.state = 'idle';
+          ui.hideProgress();
+          this.settle({ success: false, error: message.error });
+          break;
+      }
+    },
+
+    describe({ state, done, total, tab, tabs }) {
+      const where = tabs ? `Tab ${tab}/${tabs} · ` : '';
+      if (state === 'cancelled') return `${where}Cancelled at ${done}/${total}`;
+      return where + (total > 0 ? `${done}/${total} downloaded` : 'Discovering assets…');
+    },
+
+    // Hand the outcome to whoever started it, or show it when this popup only attached
+    settle(result) {
+      const pending = this.pending;
+      this.pending = null;
+      if (pending) {
+        if (result.success) {
+          pending.resolve(result);
+        } else {
+          pending.reject(new Error(result.error || 'Download failed'));
+        }
+        return;
+      }
+
+      if (result.success) {
+        ui.showDownloadResult(result);
+      } else {
+        ui.showStatus(`Error: ${result.error}`, 'error');
+      }
+      if (!picker.isOpen()) {
+        ui.setDownloadButtonState(true);
+      }
     }
   };
 
@@ -48,12 +470,20 @@
       
       const options = {
         includeInline: includeInlineCheckbox.checked,
+        includeWorkers: includeWorkersCheckbox.checked,
+        includeCss: includeCssCheckbox.checked,
+        includeWasm: includeWasmCheckbox.checked,
+        includeJson: includeJsonCheckbox.checked,
+        includeApiResponses: includeApiResponsesCheckbox.checked,
+        hookRuntimeCode: hookRuntimeCodeCheckbox.checked,
         prettifyJs: prettifyJsCheckbox.checked
       };
 
+      // The background scans every frame of the tab and merges the results
       return new Promise((resolve, reject) => {
-        chrome.tabs.sendMessage(tab.id, {
-          action: 'scanAssets',
+        chrome.runtime.sendMessage({
+          action: 'scanFrames',
+          tabId: tab.id,
           options: options
         }, (response) => {
           if (chrome.runtime.lastError) {
@@ -70,33 +500,43 @@
       });
     },
 
-    async downloadAssets(assets) {
-      const options = {
+    // Capture options as currently set in the popup
+    getOptions() {
+      return {
         prettifyJs: prettifyJsCheckbox.checked,
-        includeInline: includeInlineCheckbox.checked
+        deobfuscate: deobfuscateCheckbox.checked,
+        includeInline: includeInlineCheckbox.checked,
+        resolveSourceMaps: resolveSourceMapsCheckbox.checked,
+        includeWorkers: includeWorkersCheckbox.checked,
+        includeCss: includeCssCheckbox.checked,
+        includeWasm: includeWasmCheckbox.checked,
+        includeJson: includeJsonCheckbox.checked,
+        includeApiResponses: includeApiResponsesCheckbox.checked,
+        hookRuntimeCode: hookRuntimeCodeCheckbox.checked,
+        followModules: followModulesCheckbox.checked,
+        includeChunks: includeChunksCheckbox.checked,
+        reconReport: reconReportCheckbox.checked,
+        fingerprintLibraries: fingerprintLibrariesCheckbox.checked,
+        skipLibraries: skipLibrariesCheckbox.checked,
+        trackChanges: trackChangesCheckbox.checked,
+        archive: archiveCheckbox.checked,
+        layout: layoutSelect.value
       };
+    },
 
-      return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: 'downloadAssets',
-          assets: assets,
-          options: options
-        }, (response) => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-            return;
-          }
-          
-          if (response && response.success) {
-            resolve(response);
-          } else {
-            reject(new Error(response?.error || 'Download failed'));
-          }
-        });
-      });
+    // A partial download (a picker selection, a recorded session) leaves the rest of the page's
+    // remembered capture as it is
+    async downloadAssets(assets, partial = false) {
+      const tab = await this.getCurrentTab();
+      return captureJob.start({ assets, options: { ...this.getOptions(), partial }, pageUrl: tab.url });
     },
 
+    // First click scans and opens the picker, the next one downloads the selection
     async processDownload() {
+      if (picker.isOpen()) {
+        return this.downloadSelected();
+      }
+
       try {
         ui.setDownloadButtonState(false, '🔍 Scanning...');
         ui.hideStatus();
@@ -111,24 +551,246 @@
         }
 
         ui.showFileCount(assets.length);
+        picker.show(assets);
+      } catch (error) {
+        console.error('Scan failed:', error);
+        ui.showStatus(`Error: ${error.message}`, 'error');
+        ui.setDownloadButtonState(true);
+      }
+    },
+
+    async downloadSelected() {
+      const assets = picker.getSelected();
+      if (assets.length === 0) {
+        ui.showStatus('No assets selected', 'error');
+        return;
+      }
+
+      try {
         ui.setDownloadButtonState(false, '📥 Downloading...');
+        ui.hideStatus();
         
         // Start downloads
-        const result = await this.downloadAssets(assets);
+        const result = await this.downloadAssets(assets, assets.length < picker.assets.length);
         
         // Show results
-        const { summary } = result;
-        if (summary.failed === 0) {
-          ui.showStatus(`Successfully downloaded ${summary.successful} file${summary.successful === 1 ? '' : 's'}!`, 'success');
-        } else {
-          ui.showStatus(`Downloaded ${summary.successful}/${summary.total} files (${summary.failed} failed)`, 'error');
-        }
+        ui.showDownloadResult(result);
 
       } catch (error) {
         console.error('Download process failed:', error);
         ui.showStatus(`Error: ${error.message}`, 'error');
       } finally {
-        ui.setDownloadButtonState(true);
+        picker.updateSummary();
+      }
+    }
+  };
+
+  // Recording sessions for the current tab
+  const recording = {
+    sendMessage(message) {
+      return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage(message, (response) => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+            return;
+          }
+          if (response && response.success) {
+            resolve(response);
+          } else {
+            reject(new Error(response?.error || 'Recording request failed'));
+          }
+        });
+      });
+    },
+
+    async refresh() {
+      const tab = await downloader.getCurrentTab();
+      const status = await this.sendMessage({ action: 'getRecordingStatus', tabId: tab.id });
+      ui.showRecordingState(status);
+      return status;
+    },
+
+    async toggle() {
+      try {
+        const tab = await downloader.getCurrentTab();
+        const current = await this.sendMessage({ action: 'getRecordingStatus', tabId: tab.id });
+        const status = await this.sendMessage({
+          action: current.recording ? 'stopRecording' : 'startRecording',
+          tabId: tab.id,
+          pageUrl: tab.url
+        });
+        ui.showRecordingState(status);
+      } catch (error) {
+        ui.showStatus(`Error: ${error.message}`, 'error');
+      }
+    },
+
+    async downloadSession() {
+      try {
+        sessionBtn.disabled = true;
+        const tab = await downloader.getCurrentTab();
+        const { assets } = await this.sendMessage({ action: 'getRecordedAssets', tabId: tab.id });
+
+        ui.showFileCount(assets.length);
+        const result = await downloader.downloadAssets(assets, true);
+        ui.showDownloadResult(result);
+      } catch (error) {
+        ui.showStatus(`Error: ${error.message}`, 'error');
+      } finally {
+        await this.refresh().catch(() => {});
+      }
+    }
+  };
+
+  // Every web page open in this window, captured one after the other and summed up per host
+  // Runs as a capture job of the window, so the popup can follow, cancel and resume it like any other
+  const windowCapture = {
+    async run() {
+      try {
+        windowBtn.disabled = true;
+        ui.hideStatus();
+        ui.showDownloadResult(await captureJob.captureWindow());
+      } catch (error) {
+        ui.showStatus(`Error: ${error.message}`, 'error');
+      } finally {
+        windowBtn.disabled = false;
+      }
+    }
+  };
+
+  // Crawl mode - follows same-origin links from this page and captures everything as one capture
+  const crawl = {
+    // URL patterns are separated by whitespace
+    getSettings() {
+      const patterns = (input) => input.value.split(/\s+/).filter(Boolean);
+      return {
+        maxDepth: Math.max(0, parseInt(crawlDepthInput.value, 10) || 0),
+        maxPages: Math.max(1, parseInt(crawlPagesInput.value, 10) || 1),
+        include: patterns(crawlIncludeInput),
+        exclude: patterns(crawlExcludeInput)
+      };
+    },
+
+    load() {
+      chrome.storage.sync.get({ crawlSettings: extensionSettings.crawlDefaults }, ({ crawlSettings }) => {
+        const settings = { ...extensionSettings.crawlDefaults, ...crawlSettings };
+        crawlDepthInput.value = settings.maxDepth;
+        crawlPagesInput.value = settings.maxPages;
+        crawlIncludeInput.value = settings.include.join(' ');
+        crawlExcludeInput.value = settings.exclude.join(' ');
+      });
+    },
+
+    save() {
+      chrome.storage.sync.set({ crawlSettings: this.getSettings() });
+    },
+
+    async run() {
+      try {
+        crawlBtn.disabled = true;
+        ui.setDownloadButtonState(false, '🕸 Crawling...');
+        ui.hideStatus();
+        const tab = await downloader.getCurrentTab();
+        const result = await captureJob.crawl({
+          tabId: tab.id,
+          pageUrl: tab.url,
+          options: downloader.getOptions(),
+          crawl: this.getSettings()
+        });
+        ui.showDownloadResult(result);
+      } catch (error) {
+        ui.showStatus(`Error: ${error.message}`, 'error');
+      } finally {
+        crawlBtn.disabled = false;
+        if (picker.isOpen()) {
+          picker.updateSummary();
+        } else {
+          ui.setDownloadButtonState(true);
+        }
+      }
+    }
+  };
+
+  // Watch list and change log of monitored pages
+  const monitoring = {
+    async refresh() {
+      const { watchList, changeLog } = await recording.sendMessage({ action: 'getMonitorState' });
+      this.renderWatchList(watchList);
+      this.renderChangeLog(changeLog);
+    },
+
+    renderWatchList(watchList) {
+      if (watchList.length === 0) {
+        const empty = document.createElement('li');
+        empty.textContent = 'nothing watched yet';
+        watchListUl.replaceChildren(empty);
+        return;
+      }
+
+      watchListUl.replaceChildren(...watchList.map(entry => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = entry.url;
+        label.title = entry.lastCheckedAt ? `last checked ${new Date(entry.lastCheckedAt).toLocaleString()}` : 'not checked yet';
+
+        const remove = document.createElement('button');
+        remove.className = 'link-btn';
+        remove.textContent = '✕';
+        remove.title = 'stop watching';
+        remove.addEventListener('click', () => this.unwatch(entry.url));
+
+        item.append(label, remove);
+        return item;
+      }));
+    },
+
+    renderChangeLog(changeLog) {
+      if (changeLog.length === 0) {
+        const empty = document.createElement('li');
+        empty.textContent = 'no changes recorded';
+        changeLogUl.replaceChildren(empty);
+        return;
+      }
+
+      changeLogUl.replaceChildren(...changeLog.slice(0, 20).map(entry => {
+        const item = document.createElement('li');
+        const when = new Date(entry.checkedAt).toLocaleString();
+        if (entry.error) {
+          item.className = 'error';
+          item.textContent = `${when} ${entry.url}: ${entry.error}`;
+        } else {
+          item.textContent = `${when} ${entry.url}: +${entry.added.length} −${entry.removed.length} ~${entry.changed.length}`;
+          item.title = [
+            ...entry.added.map(url => `+ ${url}`),
+            ...entry.removed.map(url => `- ${url}`),
+            ...entry.changed.map(url => `~ ${url}`)
+          ].join('\n');
+        }
+        return item;
+      }));
+    },
+
+    async watchCurrentTab() {
+      try {
+        const tab = await downloader.getCurrentTab();
+        const { watchList } = await recording.sendMessage({
+          action: 'watchUrl',
+          url: tab.url,
+          intervalMinutes: Number(watchInterval.value)
+        });
+        this.renderWatchList(watchList);
+        ui.showStatus('Watching this page - the first check stores a baseline', 'success');
+      } catch (error) {
+        ui.showStatus(`Error: ${error.message}`, 'error');
+      }
+    },
+
+    async unwatch(url) {
+      try {
+        const { watchList } = await recording.sendMessage({ action: 'unwatchUrl', url });
+        this.renderWatchList(watchList);
+      } catch (error) {
+        ui.showStatus(`Error: ${error.message}`, 'error');
       }
     }
   };
@@ -138,39 +800,174 @@
     downloader.processDownload();
   });
 
+  captureBtn.addEventListener('click', () => {
+    if (captureJob.state !== 'cancelled') {
+      captureJob.cancel();
+      return;
+    }
+    ui.hideStatus();
+    captureJob.resume()
+      .then(result => ui.showDownloadResult(result))
+      .catch(error => ui.showStatus(`Error: ${error.message}`, 'error'));
+  });
+
+  pickerSearch.addEventListener('input', () => picker.render());
+  pickerType.addEventListener('change', () => picker.render());
+  pickerDomain.addEventListener('change', () => picker.render());
+  pickerToggle.addEventListener('change', () => picker.toggleVisible(pickerToggle.checked));
+  pickerRescan.addEventListener('click', () => {
+    picker.close();
+    downloader.processDownload();
+  });
+
+  recordBtn.addEventListener('click', () => {
+    recording.toggle();
+  });
+
+  sessionBtn.addEventListener('click', () => {
+    recording.downloadSession();
+  });
+
+  crawlBtn.addEventListener('click', () => {
+    crawl.run();
+  });
+  [crawlDepthInput, crawlPagesInput, crawlIncludeInput, crawlExcludeInput].forEach(input => {
+    input.addEventListener('change', () => crawl.save());
+  });
+
+  windowBtn.addEventListener('click', () => {
+    windowCapture.run();
+  });
+
+  watchBtn.addEventListener('click', () => {
+    monitoring.watchCurrentTab();
+  });
+
+  watchDetails.addEventListener('toggle', () => {
+    if (watchDetails.open) {
+      monitoring.refresh().catch(error => ui.showStatus(`Error: ${error.message}`, 'error'));
+    }
+  });
+
+  // Diffs are too large for the popup, so the comparison opens in its own page
+  compareBtn.addEventListener('click', async () => {
+    const tab = await downloader.getCurrentTab();
+    chrome.tabs.create({ url: chrome.runtime.getURL(`compare.html?tabId=${tab.id}`) });
+  });
+
   // Save options to storage
   const saveOptions = () => {
     chrome.storage.sync.set({
       prettifyJs: prettifyJsCheckbox.checked,
-      includeInline: includeInlineCheckbox.checked
+      deobfuscate: deobfuscateCheckbox.checked,
+      includeInline: includeInlineCheckbox.checked,
+      resolveSourceMaps: resolveSourceMapsCheckbox.checked,
+      includeWorkers: includeWorkersCheckbox.checked,
+      includeCss: includeCssCheckbox.checked,
+      includeWasm: includeWasmCheckbox.checked,
+      includeJson: includeJsonCheckbox.checked,
+      includeApiResponses: includeApiResponsesCheckbox.checked,
+      hookRuntimeCode: hookRuntimeCodeCheckbox.checked,
+      hookEval: hookEvalCheckbox.checked,
+      followModules: followModulesCheckbox.checked,
+      includeChunks: includeChunksCheckbox.checked,
+      reconReport: reconReportCheckbox.checked,
+      fingerprintLibraries: fingerprintLibrariesCheckbox.checked,
+      skipLibraries: skipLibrariesCheckbox.checked,
+      trackChanges: trackChangesCheckbox.checked,
+      archive: archiveCheckbox.checked,
+      layout: layoutSelect.value
     });
   };
 
   prettifyJsCheckbox.addEventListener('change', saveOptions);
+  deobfuscateCheckbox.addEventListener('change', saveOptions);
   includeInlineCheckbox.addEventListener('change', saveOptions);
+  resolveSourceMapsCheckbox.addEventListener('change', saveOptions);
+  includeWorkersCheckbox.addEventListener('change', saveOptions);
+  includeCssCheckbox.addEventListener('change', saveOptions);
+  includeWasmCheckbox.addEventListener('change', saveOptions);
+  includeJsonCheckbox.addEventListener('change', saveOptions);
+  includeApiResponsesCheckbox.addEventListener('change', saveOptions);
+  hookRuntimeCodeCheckbox.addEventListener('change', saveOptions);
+  hookEvalCheckbox.addEventListener('change', saveOptions);
+  followModulesCheckbox.addEventListener('change', saveOptions);
+  includeChunksCheckbox.addEventListener('change', saveOptions);
+  reconReportCheckbox.addEventListener('change', saveOptions);
+  fingerprintLibrariesCheckbox.addEventListener('change', saveOptions);
+  skipLibrariesCheckbox.addEventListener('change', saveOptions);
+  trackChangesCheckbox.addEventListener('change', saveOptions);
+  archiveCheckbox.addEventListener('change', saveOptions);
+  layoutSelect.addEventListener('change', saveOptions);
 
   // Load saved options
   const loadOptions = () => {
-    chrome.storage.sync.get({
-      prettifyJs: true,
-      includeInline: true
-    }, (items) => {
+    chrome.storage.sync.get(extensionSettings.captureDefaults, (items) => {
       prettifyJsCheckbox.checked = items.prettifyJs;
+      deobfuscateCheckbox.checked = items.deobfuscate;
       includeInlineCheckbox.checked = items.includeInline;
+      resolveSourceMapsCheckbox.checked = items.resolveSourceMaps;
+      includeWorkersCheckbox.checked = items.includeWorkers;
+      includeCssCheckbox.checked = items.includeCss;
+      includeWasmCheckbox.checked = items.includeWasm;
+      includeJsonCheckbox.checked = items.includeJson;
+      includeApiResponsesCheckbox.checked = items.includeApiResponses;
+      hookRuntimeCodeCheckbox.checked = items.hookRuntimeCode;
+      hookEvalCheckbox.checked = items.hookEval;
+      followModulesCheckbox.checked = items.followModules;
+      includeChunksCheckbox.checked = items.includeChunks;
+      reconReportCheckbox.checked = items.reconReport;
+      fingerprintLibrariesCheckbox.checked = items.fingerprintLibraries;
+      skipLibrariesCheckbox.checked = items.skipLibraries;
+      trackChangesCheckbox.checked = items.trackChanges;
+      archiveCheckbox.checked = items.archive;
+      layoutSelect.value = items.layout;
     });
   };
 
+  // Beautifier profile switcher; profiles themselves are edited on the options page
+  const loadProfiles = async () => {
+    const { profiles, activeProfile } = await extensionSettings.loadProfiles();
+    profileSelect.replaceChildren(...Object.keys(profiles).map(name => new Option(name, name)));
+    profileSelect.value = activeProfile;
+  };
+
+  profileSelect.addEventListener('change', () => {
+    extensionSettings.setActiveProfile(profileSelect.value);
+  });
+
+  optionsBtn.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
   // Initialize
   document.addEventListener('DOMContentLoaded', () => {
     loadOptions();
+    crawl.load();
+    loadProfiles().catch(error => console.warn('Could not load profiles:', error));
     
     // Check if we can access the current tab
     downloader.getCurrentTab()
       .then(tab => {
+        // Pick up a capture that is still running, or was cancelled, in this tab or of this window;
+        // capturing all tabs works from any page
+        if (tab) {
+          captureJob.connect(tab);
+        }
+
         if (!tab || (!tab.url.startsWith('http') && !tab.url.startsWith('https'))) {
           ui.showStatus('Extension only works on web pages (http/https)', 'error');
           ui.setDownloadButtonState(false);
+          recordBtn.disabled = true;
+          compareBtn.disabled = true;
+          crawlBtn.disabled = true;
+          watchBtn.disabled = true;
+          return;
         }
+
+        // Keep the session counter live while the popup is open
+        recording.refresh().catch(() => {});
+        setInterval(() => recording.refresh().catch(() => {}), 1000);
       })
       .catch(error => {
         ui.showStatus('Unable to access current tab', 'error');
@@ -180,7 +977,8 @@
 
   // Handle keyboard shortcuts
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter' && !downloadBtn.disabled) {
+    // Enter in the search box filters, it shouldn't start a download
+    if (e.key === 'Enter' && !downloadBtn.disabled && e.target !== pickerSearch) {
       downloader.processDownload();
     }
   });
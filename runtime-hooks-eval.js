@@ -0,0 +1,3 @@
+// Registered just before runtime-hooks.js when eval should be hooked too; runtime-hooks.js removes the
+// flag again before any page script runs
+window.__evilDownloaderHookEval = true;
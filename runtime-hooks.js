@@ -0,0 +1,139 @@
+// Main-world hooks recording code that only exists at runtime: strings passed to the Function
+// constructors, string timers, document.write and, when asked for, eval. Registered at document_start
+// while the option is on.
+(() => {
+  'use strict';
+
+  // The content script runs in an isolated world; it asks for the records with one event and
+  // gets them back, serialized, with the other
+  const requestEvent = 'evil-downloader:runtime-request';
+  const recordsEvent = 'evil-downloader:runtime-records';
+
+  // Keep memory bounded on pages that generate code in a loop
+  const maxRecords = 500;
+  const maxLength = 5 * 1024 * 1024;
+
+  // Page scripts can replace these later, so keep the originals
+  const stringify = JSON.stringify;
+  const dispatch = EventTarget.prototype.dispatchEvent;
+
+  // Set by runtime-hooks-eval.js; nothing of it is left for the page to see
+  const hookEval = window.__evilDownloaderHookEval === true;
+  delete window.__evilDownloaderHookEval;
+
+  const records = [];
+  const byCode = new Map();
+
+  // The caller's frames, without the hook's own
+  const callStack = () => String(new Error().stack || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && line !== 'Error' && !line.includes('runtime-hooks.js'))
+    .join('\n');
+
+  const record = (sink, code) => {
+    if (typeof code !== 'string' || code.length === 0) return;
+
+    // Generated code often runs over and over; keep the first call site and count the rest
+    const existing = byCode.get(code);
+    if (existing) {
+      existing.calls++;
+      return;
+    }
+    if (records.length >= maxRecords) return;
+
+    const entry = {
+      sink,
+      code: code.length > maxLength ? code.substring(0, maxLength) : code,
+      truncated: code.length > maxLength,
+      stack: callStack(),
+      url: location.href,
+      calls: 1
+    };
+    byCode.set(code, entry);
+    records.push(entry);
+  };
+
+  // Only primitive arguments are stringified; converting objects would run page code a second time
+  const asStrings = (args) => {
+    const strings = [];
+    for (const arg of args) {
+      if ((typeof arg === 'object' && arg !== null) || typeof arg === 'function') return null;
+      strings.push(String(arg));
+    }
+    return strings;
+  };
+
+  // Wrap a function in a Proxy so it still looks native; recording never gets in the page's way
+  const wrap = (original, onCall) => {
+    const observe = (args) => {
+      try {
+        onCall(args);
+      } catch {
+        // Ignore recording failures
+      }
+    };
+    return new Proxy(original, {
+      apply(target, thisArg, args) {
+        observe(args);
+        return Reflect.apply(target, thisArg, args);
+      },
+      construct(target, args, newTarget) {
+        observe(args);
+        return Reflect.construct(target, args, newTarget);
+      }
+    });
+  };
+
+  // Redefine rather than assign: some of these properties are read-only
+  const hook = (owner, name, onCall) => {
+    const descriptor = Object.getOwnPropertyDescriptor(owner, name);
+    if (!descriptor || typeof descriptor.value !== 'function') return null;
+    const proxy = wrap(descriptor.value, onCall);
+    Object.defineProperty(owner, name, { ...descriptor, value: proxy });
+    return proxy;
+  };
+
+  // eval is opt-in: a wrapped eval always runs as an indirect eval, in global scope, so page code that
+  // reads or declares local variables through eval behaves differently while it is hooked
+  if (hookEval) {
+    hook(window, 'eval', ([code]) => record('eval', code));
+  }
+
+  // Function and its async/generator siblings, reachable both globally and through .constructor
+  const constructors = [
+    ['function', Function],
+    ['async function', Object.getPrototypeOf(async function () {}).constructor],
+    ['function*', Object.getPrototypeOf(function* () {}).constructor],
+    ['async function*', Object.getPrototypeOf(async function* () {}).constructor]
+  ];
+  constructors.forEach(([kind, Constructor]) => {
+    const onCall = (args) => {
+      const strings = asStrings(args);
+      if (!strings) return;
+      const body = strings.length > 0 ? strings.pop() : '';
+      record('Function', `(${kind} anonymous(${strings.join(',')}\n) {\n${body}\n})`);
+    };
+    const proxy = hook(Constructor.prototype, 'constructor', onCall);
+    if (proxy && Constructor === Function) {
+      Object.defineProperty(window, 'Function', { ...Object.getOwnPropertyDescriptor(window, 'Function'), value: proxy });
+    }
+  });
+
+  // String timers compile their first argument like eval
+  ['setTimeout', 'setInterval'].forEach(name => {
+    hook(window, name, ([handler]) => record(name, handler));
+  });
+
+  // document.write and writeln take any number of markup strings
+  ['write', 'writeln'].forEach(name => {
+    hook(Document.prototype, name, (args) => {
+      const strings = asStrings(args);
+      if (strings) record(`document.${name}`, strings.join('') + (name === 'writeln' ? '\n' : ''));
+    });
+  });
+
+  window.addEventListener(requestEvent, () => {
+    dispatch.call(window, new CustomEvent(recordsEvent, { detail: stringify(records) }));
+  });
+})();
@@ -0,0 +1,239 @@
+// Settings shared by the background worker, popup and options page
+(() => {
+  'use strict';
+
+  // Base settings for each beautifier; every profile fills its gaps from these
+  const reviewProfile = {
+    js: {
+      indent_size: 2,
+      indent_with_tabs: false,
+      max_preserve_newlines: 2,
+      preserve_newlines: true,
+      keep_array_indentation: false,
+      break_chained_methods: false,
+      brace_style: 'collapse',
+      space_before_conditional: true,
+      unescape_strings: false,
+      jslint_happy: false,
+      end_with_newline: true,
+      wrap_line_length: 120,
+      comma_first: false,
+      operator_position: 'before-newline',
+      space_in_paren: false,
+      space_after_anon_function: false,
+      indent_empty_lines: false
+    },
+    css: {
+      indent_size: 2,
+      indent_with_tabs: false,
+      max_preserve_newlines: 2,
+      preserve_newlines: true,
+      end_with_newline: true,
+      newline_between_rules: true,
+      selector_separator_newline: true,
+      space_around_combinator: false,
+      brace_style: 'collapse',
+      wrap_line_length: 0
+    },
+    html: {
+      indent_size: 2,
+      indent_with_tabs: false,
+      max_preserve_newlines: 2,
+      preserve_newlines: true,
+      indent_inner_html: false,
+      indent_scripts: 'normal',
+      end_with_newline: true,
+      wrap_line_length: 120,
+      wrap_attributes: 'auto'
+    }
+  };
+
+  const extensionSettings = {
+    defaultProfile: 'review',
+
+    // Popup options the capture starts from; the options page edits the same keys
+    captureDefaults: {
+      prettifyJs: true,
+      deobfuscate: false,
+      includeInline: true,
+      resolveSourceMaps: true,
+      includeWorkers: true,
+      includeCss: false,
+      includeWasm: false,
+      includeJson: false,
+      includeApiResponses: false,
+      hookRuntimeCode: false,
+      hookEval: false,
+      followModules: true,
+      includeChunks: false,
+      reconReport: true,
+      fingerprintLibraries: true,
+      skipLibraries: false,
+      trackChanges: true,
+      archive: false,
+      layout: 'flat'
+    },
+
+    // Crawl mode: how far to follow same-origin links, and which URLs to visit (globs, * matches anything)
+    crawlDefaults: {
+      maxDepth: 2,
+      maxPages: 20,
+      include: [],
+      exclude: ['*logout*', '*log-out*', '*signout*', '*sign-out*']
+    },
+
+    // Shipped profiles: readable output, output that diffs well between captures, and dense output
+    builtInProfiles: {
+      review: reviewProfile,
+      'diff-friendly': {
+        js: { ...reviewProfile.js, preserve_newlines: false, wrap_line_length: 0, break_chained_methods: true },
+        css: { ...reviewProfile.css, preserve_newlines: false },
+        html: { ...reviewProfile.html, preserve_newlines: false, wrap_line_length: 0, wrap_attributes: 'force-expand-multiline' }
+      },
+      compact: {
+        js: { ...reviewProfile.js, max_preserve_newlines: 1, wrap_line_length: 0, brace_style: 'collapse,preserve-inline' },
+        css: { ...reviewProfile.css, max_preserve_newlines: 1, newline_between_rules: false, selector_separator_newline: false },
+        html: { ...reviewProfile.html, max_preserve_newlines: 1, wrap_line_length: 0 }
+      }
+    },
+
+    // Every beautifier setting the options page can edit
+    profileFields: {
+      js: [
+        { key: 'indent_size', type: 'number', label: 'indent size' },
+        { key: 'indent_with_tabs', type: 'boolean', label: 'indent with tabs' },
+        { key: 'preserve_newlines', type: 'boolean', label: 'preserve newlines' },
+        { key: 'max_preserve_newlines', type: 'number', label: 'max preserved newlines' },
+        { key: 'wrap_line_length', type: 'number', label: 'wrap line length (0 = off)' },
+        { key: 'brace_style', type: 'select', label: 'brace style', choices: ['collapse', 'collapse,preserve-inline', 'expand', 'end-expand', 'none'] },
+        { key: 'operator_position', type: 'select', label: 'operator position', choices: ['before-newline', 'after-newline', 'preserve-newline'] },
+        { key: 'break_chained_methods', type: 'boolean', label: 'break chained methods' },
+        { key: 'keep_array_indentation', type: 'boolean', label: 'keep array indentation' },
+        { key: 'space_before_conditional', type: 'boolean', label: 'space before conditional' },
+        { key: 'space_in_paren', type: 'boolean', label: 'space in parentheses' },
+        { key: 'space_after_anon_function', type: 'boolean', label: 'space after anonymous function' },
+        { key: 'unescape_strings', type: 'boolean', label: 'unescape printable \\x strings' },
+        { key: 'jslint_happy', type: 'boolean', label: 'jslint happy' },
+        { key: 'comma_first', type: 'boolean', label: 'comma first' },
+        { key: 'indent_empty_lines', type: 'boolean', label: 'indent empty lines' },
+        { key: 'end_with_newline', type: 'boolean', label: 'end with newline' }
+      ],
+      css: [
+        { key: 'indent_size', type: 'number', label: 'indent size' },
+        { key: 'indent_with_tabs', type: 'boolean', label: 'indent with tabs' },
+        { key: 'preserve_newlines', type: 'boolean', label: 'preserve newlines' },
+        { key: 'max_preserve_newlines', type: 'number', label: 'max preserved newlines' },
+        { key: 'wrap_line_length', type: 'number', label: 'wrap line length (0 = off)' },
+        { key: 'brace_style', type: 'select', label: 'brace style', choices: ['collapse', 'expand'] },
+        { key: 'newline_between_rules', type: 'boolean', label: 'blank line between rules' },
+        { key: 'selector_separator_newline', type: 'boolean', label: 'one selector per line' },
+        { key: 'space_around_combinator', type: 'boolean', label: 'space around combinators' },
+        { key: 'end_with_newline', type: 'boolean', label: 'end with newline' }
+      ],
+      html: [
+        { key: 'indent_size', type: 'number', label: 'indent size' },
+        { key: 'indent_with_tabs', type: 'boolean', label: 'indent with tabs' },
+        { key: 'preserve_newlines', type: 'boolean', label: 'preserve newlines' },
+        { key: 'max_preserve_newlines', type: 'number', label: 'max preserved newlines' },
+        { key: 'wrap_line_length', type: 'number', label: 'wrap line length (0 = off)' },
+        { key: 'wrap_attributes', type: 'select', label: 'wrap attributes', choices: ['auto', 'force', 'force-aligned', 'force-expand-multiline', 'aligned-multiple', 'preserve', 'preserve-aligned'] },
+        { key: 'indent_inner_html', type: 'boolean', label: 'indent <head> and <body>' },
+        { key: 'indent_scripts', type: 'select', label: 'embedded script indent', choices: ['normal', 'keep', 'separate'] },
+        { key: 'end_with_newline', type: 'boolean', label: 'end with newline' }
+      ]
+    },
+
+    isBuiltIn(name) {
+      return Object.prototype.hasOwnProperty.call(this.builtInProfiles, name);
+    },
+
+    // Fill any settings a saved profile is missing (e.g. ones added in a later version)
+    complete(profile = {}) {
+      const complete = {};
+      Object.keys(reviewProfile).forEach(section => {
+        complete[section] = { ...reviewProfile[section], ...(profile[section] || {}) };
+      });
+      return complete;
+    },
+
+    // Saved profiles live in sync storage under profile:<name>, one item each: a single item holding all
+    // of them runs into the per-item quota after a handful
+    profileKeyPrefix: 'profile:',
+
+    profileKey(name) {
+      return this.profileKeyPrefix + name;
+    },
+
+    // Names that would reach Object.prototype (__proto__, constructor, …) when used as keys
+    isValidName(name) {
+      return typeof name === 'string' && name.trim() !== '' && !(name in Object.prototype);
+    },
+
+    // Earlier versions kept every profile in one 'profiles' item; move them to their own items
+    async migrateProfiles() {
+      const { profiles } = await chrome.storage.sync.get({ profiles: null });
+      if (!profiles) {
+        return;
+      }
+      const items = {};
+      Object.entries(profiles)
+        .filter(([name]) => this.isValidName(name))
+        .forEach(([name, profile]) => {
+          items[this.profileKey(name)] = this.complete(profile);
+        });
+      await chrome.storage.sync.set(items);
+      await chrome.storage.sync.remove('profiles');
+    },
+
+    // Built-in profiles overlaid with the saved ones, and the name of the active profile
+    async loadProfiles() {
+      await this.migrateProfiles();
+      const stored = await chrome.storage.sync.get(null);
+      const profiles = {};
+      Object.entries(this.builtInProfiles).forEach(([name, profile]) => {
+        profiles[name] = this.complete(profile);
+      });
+      Object.keys(stored)
+        .filter(key => key.startsWith(this.profileKeyPrefix))
+        .map(key => key.substring(this.profileKeyPrefix.length))
+        .filter(name => this.isValidName(name))
+        .forEach(name => {
+          profiles[name] = this.complete(stored[this.profileKey(name)]);
+        });
+      const activeProfile = stored.activeProfile || this.defaultProfile;
+      return {
+        profiles,
+        activeProfile: Object.prototype.hasOwnProperty.call(profiles, activeProfile) ? activeProfile : this.defaultProfile
+      };
+    },
+
+    async getActiveProfile() {
+      const { profiles, activeProfile } = await this.loadProfiles();
+      return { name: activeProfile, ...profiles[activeProfile] };
+    },
+
+    async saveProfile(name, profile) {
+      if (!this.isValidName(name)) {
+        throw new Error(`"${name}" can't be used as a profile name`);
+      }
+      await this.migrateProfiles();
+      await chrome.storage.sync.set({ [this.profileKey(name)]: this.complete(profile) });
+    },
+
+    // Deleting a built-in profile only drops the saved edits, restoring the shipped settings
+    async deleteProfile(name) {
+      await this.migrateProfiles();
+      const { activeProfile } = await chrome.storage.sync.get({ activeProfile: this.defaultProfile });
+      await chrome.storage.sync.remove(this.profileKey(name));
+      if (activeProfile === name && !this.isBuiltIn(name)) {
+        await chrome.storage.sync.set({ activeProfile: this.defaultProfile });
+      }
+    },
+
+    async setActiveProfile(name) {
+      await chrome.storage.sync.set({ activeProfile: name });
+    }
+  };
+
+  globalThis.extensionSettings = extensionSettings;
+})();